@@ -4,9 +4,48 @@
  *
  * Key concepts:
  *  - Tasks with `goalEvent` auto-detect completion when the prototype fires that DOM event
- *  - Tasks without `goalEvent` show a manual "Mark as done" button
+ *  - Tasks with a `goal` object detect completion from the page itself (URL,
+ *    visible element, click target, input value) — no prototype code needed
+ *  - Tasks without `goalEvent` or `goal` show a manual "Mark as done" button
+ *  - `type: 'firstclick'` tasks end on the tester's first click and record
+ *    whether it hit `targetSelector` / `targetRect`
  *  - Skipping a task marks it as failed and records it in results
+ *  - `variants` assigns each tester (sticky per browser) to one of several
+ *    flows from a single study link, at random or balanced by session counts
+ *  - `taskOrder` shuffles, group-shuffles or Latin-square counterbalances the
+ *    tasks per session (seeded; the order shown is sent with the results)
  *  - The prototype can also call `PrototypeTester.taskCompleted()` directly
+ *  - Lifecycle events via `on(event, fn)` / `off()`: sessionStart, taskStart,
+ *    goalReached, taskSkipped, taskRecorded, sessionSubmitted, consentDeclined
+ *  - Control from prototype code: start(), skipTask(), goToTask(id),
+ *    getState() and destroy(); init() is safe to call more than once
+ *  - Tasks with an `expectedPath` classify the tester's route as a direct
+ *    success, indirect success or failure
+ *  - Each task result carries behavioural `signals`: misclicks, rage clicks,
+ *    dead clicks, scroll depth and hesitation before the first action
+ *  - `recordSession: true` records the page (DOM snapshot + mutations, scroll,
+ *    pointer, clicks, masked input) per task for replay in the dashboard
+ *  - Session state is kept in sessionStorage, so a reload or a link to another
+ *    page of the same study resumes at the current task with the timer running
+ *  - With Supabase, the session row is written at start and after every task
+ *    (status in_progress / abandoned / completed), so drop-offs are visible
+ *  - `transports` chooses where results go (built-in Supabase, webhook, REST,
+ *    IndexedDB, download, or custom); `onSubmit(payload)` is a hook on submit
+ *  - Results wait in a localStorage outbox until the server confirms them and
+ *    are retried with backoff, on the next page load and when back online
+ *  - `locale` picks the tester-facing copy (en, da, de, ar; right-to-left for
+ *    Arabic) and `messages` overrides single strings; the locale is sent along
+ *  - The overlay works by keyboard and screen reader: modals are focus-trapped
+ *    dialogs, ratings and recall options are radio groups, and task changes,
+ *    goals and the recall countdown are announced through a live region
+ *  - The overlay is rendered in a shadow root, so the prototype's CSS and ours
+ *    stay apart; `barPosition`, `barCollapsed` and `theme` change its look
+ *  - On phones the bar is compact (tap the task for details); taps, swipes and
+ *    a per-session device profile (viewport, DPR, pointer, orientation) are recorded
+ *  - Privacy: `consent` asks before the session starts, text inside
+ *    [data-pt-mask] / `maskSelectors` and typed form values are masked,
+ *    `anonymous` skips name and email, and `retentionDays` stamps results
+ *    with a retainUntil date the dashboard purges by
  *
  * Usage:
  *   <script src="prototype-tester.js"></script>
@@ -45,6 +84,376 @@
 (function (global) {
   'use strict';
 
+  // State fields saved to sessionStorage so a session survives page loads
+  const PERSISTED = [
+    'sessionId', 'testerName', 'testerEmail', 'sessionStart', 'stage',
+    'currentTask', 'taskStart', 'taskEnd', 'clicks', 'pages', 'page', 'path', 'signals',
+    'recSeq', 'variant', 'order', 'orderSeed', 'orderRow', 'taskResults', 'collapsed',
+    'swipes', 'device', 'consentedAt',
+  ];
+
+  // Behavioural signal thresholds
+  const RAGE_COUNT = 3;      // clicks …
+  const RAGE_MS    = 1000;   // … within this window …
+  const RAGE_PX    = 30;     // … and this distance of each other
+  const DEAD_MS    = 1000;   // a click with no DOM / URL change after this long is dead
+
+  // Touch gestures
+  const SWIPE_PX = 40;       // a touch that travels this far …
+  const SWIPE_MS = 1000;     // … within this long is a swipe
+
+  // Session recording
+  const REC_CHUNK    = 300;    // events per uploaded chunk
+  const REC_FLUSH_MS = 5000;   // upload whatever is buffered this often
+  const REC_MOVE_MS  = 50;     // pointer movement sampling interval
+  const REC_KEEP_MAX = 1500000;   // characters of kept recordings carried to the next page (sessionStorage is ~5 MB)
+  const MASK_ATTRS   = ['title', 'alt', 'placeholder', 'aria-label', 'aria-description'];   // masked with their element
+
+  // Result outbox
+  const OUTBOX_KEY     = 'pt_outbox';
+  const OUTBOX_TRIES   = 3;               // quick attempts while the thank-you screen waits
+  const OUTBOX_BASE_MS = 2000;            // first retry delay, doubled per failed attempt
+  const OUTBOX_MAX_MS  = 10 * 60 * 1000;  // longest delay between retries
+  // PostgREST / Postgres codes for a table that predates the request: unknown column, no unique constraint
+  const SCHEMA_ERRORS  = ['PGRST204', '42703', '42P10'];
+
+  // Tester-facing copy. Messages are HTML; `{name}` placeholders are filled in
+  // (escaped) by _t(). The `messages` option overrides single keys, and keys a
+  // locale lacks fall back to English.
+  const MESSAGES = {
+    en: {
+      welcomeChip:      'User Test',
+      welcomeIntro:     'You\'ll be given tasks to complete using this prototype. Work as naturally as you can — there are no right or wrong answers. We\'re testing the design, not you.',
+      nameLabel:        'Your name',
+      namePlaceholder:  'Jane Smith',
+      emailLabel:       'Email',
+      emailPlaceholder: 'jane@example.com',
+      optional:         '(optional)',
+      startTesting:     'Start testing →',
+      taskOf:           'Task {n} of {total}',
+      taskOfFirstClick: 'Task {n} of {total} — First click',
+      taskOfRecall:     'Task {n} of {total} — Quick recall',
+      hint:             'Hint',
+      markDone:         'Mark as done',
+      skipTask:         'Skip task',
+      skipConfirm:      'Skip this task?',
+      skipYes:          'Yes, skip',
+      skipNo:           'Keep trying',
+      firstClickNote:   'Click once where you would go first — the task ends with your first click.',
+      letsGo:           'Got it, let\'s go →',
+      recallIntro:      'You\'ll have <strong>{seconds} seconds</strong> to look at the page, then we\'ll ask you one question. Just glance naturally — no tricks.',
+      recallQuestion:   'The question you\'ll answer:',
+      recallStart:      'Start {seconds}s timer →',
+      recallLook:       'Look now — find the answer!',
+      recallCounting:   '⏱ counting down',
+      quickQuestion:    'Quick question',
+      answerPlaceholder:'Type your answer…',
+      submitAnswer:     'Submit answer →',
+      recallCorrect:    'Correct!',
+      recallWrong:      'Good effort!',
+      recallSpotOn:     'Spot on!',
+      recallAnswerWas:  'The answer was: {answer}',
+      recallYours:      'Your answer: <em>"{answer}"</em>',
+      recallBlank:      '(blank)',
+      nextTask:         'Next task →',
+      finishTasks:      'Finish & give feedback →',
+      goalChip:         'Goal achieved! ✓',
+      easeQuestion:     'Nice work! How easy was it to complete this task?',
+      easeLow:          'Very difficult',
+      easeHigh:         'Very easy',
+      easeComment:      'Any comments?',
+      easePlaceholder:  'What worked well? What was confusing?',
+      skippedChip:      'Task skipped',
+      skippedIntro:     'No worries — skipping helps us understand where the design needs work. What made this task difficult?',
+      skippedComment:   'Comments',
+      skippedPlaceholder:'What was unclear or hard to find?',
+      finalChip:        'Almost done 🎉',
+      finalTitle:       'One last thing',
+      finalQuestion:    'Overall, how would you rate your experience with this prototype?',
+      overallLow:       'Very poor',
+      overallHigh:      'Excellent',
+      finalComment:     'Final thoughts?',
+      finalPlaceholder: 'Overall impressions, suggestions, anything you noticed…',
+      submitFeedback:   'Submit feedback',
+      sendingTitle:     'Sending your results…',
+      sendingText:      'This only takes a moment — please keep this tab open.',
+      thanksTitle:      'Thank you!',
+      sentText:         'Your feedback has been recorded. You can close this tab whenever you\'re ready.',
+      queuedText:       'Your feedback is saved in this browser but couldn\'t be sent yet. It will be sent automatically when you\'re back online or next open this prototype — or download a copy and send it to the study organiser.',
+      failedText:       'Your feedback couldn\'t be saved. Try again, or download a copy and send it to the study organiser.',
+      thanksSummary:    '{completed}/{total} tasks completed &nbsp;·&nbsp; Session {session}',
+      downloadCopy:     'Download a copy',
+      tryAgain:         'Try again',
+      barLabel:         'Test task',
+      starLabel:        '{n} of 5',
+      recallLeft:       '{seconds} seconds left',
+      collapseBar:      'Minimise task bar',
+      expandBar:        'Show task bar',
+      consentChip:      'Before you start',
+      consentTitle:     'How your data is used',
+      consentText:      'While you work we record how you use this prototype — clicks, taps, pages visited and timings — along with your answers and ratings. Text you type into the prototype itself is hidden.',
+      consentRecording: 'The screen is also recorded so the team can replay your session.',
+      consentRetention: 'Your results are deleted after {days} days.',
+      consentDelete:    'You can have your results deleted at any time: send the session ID shown at the end to the study organiser.',
+      consentPolicy:    'Privacy policy',
+      consentAgree:     'I agree, continue →',
+      consentDecline:   'No thanks',
+      declinedTitle:    'No problem',
+      declinedText:     'Nothing has been recorded. You can close this tab.',
+    },
+    da: {
+      welcomeChip:      'Brugertest',
+      welcomeIntro:     'Du får nogle opgaver, som du skal løse i denne prototype. Gør det så naturligt som muligt — der er ingen rigtige eller forkerte svar. Det er designet, vi tester, ikke dig.',
+      nameLabel:        'Dit navn',
+      namePlaceholder:  'Mette Hansen',
+      emailLabel:       'E-mail',
+      emailPlaceholder: 'mette@eksempel.dk',
+      optional:         '(valgfrit)',
+      startTesting:     'Start testen →',
+      taskOf:           'Opgave {n} af {total}',
+      taskOfFirstClick: 'Opgave {n} af {total} — Første klik',
+      taskOfRecall:     'Opgave {n} af {total} — Hurtigt blik',
+      hint:             'Tip',
+      markDone:         'Marker som færdig',
+      skipTask:         'Spring over',
+      skipConfirm:      'Spring denne opgave over?',
+      skipYes:          'Ja, spring over',
+      skipNo:           'Prøv videre',
+      firstClickNote:   'Klik én gang dér, hvor du først ville gå hen — opgaven slutter ved dit første klik.',
+      letsGo:           'Forstået, lad os gå i gang →',
+      recallIntro:      'Du får <strong>{seconds} sekunder</strong> til at se på siden, og derefter stiller vi dig ét spørgsmål. Kig bare helt naturligt — der er ingen fælder.',
+      recallQuestion:   'Spørgsmålet, du skal svare på:',
+      recallStart:      'Start nedtælling på {seconds} sek. →',
+      recallLook:       'Kig nu — find svaret!',
+      recallCounting:   '⏱ tæller ned',
+      quickQuestion:    'Hurtigt spørgsmål',
+      answerPlaceholder:'Skriv dit svar…',
+      submitAnswer:     'Send svar →',
+      recallCorrect:    'Korrekt!',
+      recallWrong:      'Godt forsøgt!',
+      recallSpotOn:     'Helt rigtigt!',
+      recallAnswerWas:  'Svaret var: {answer}',
+      recallYours:      'Dit svar: <em>»{answer}«</em>',
+      recallBlank:      '(tomt)',
+      nextTask:         'Næste opgave →',
+      finishTasks:      'Afslut og giv feedback →',
+      goalChip:         'Mål nået! ✓',
+      easeQuestion:     'Godt klaret! Hvor nemt var det at løse opgaven?',
+      easeLow:          'Meget svært',
+      easeHigh:         'Meget nemt',
+      easeComment:      'Nogen kommentarer?',
+      easePlaceholder:  'Hvad fungerede godt? Hvad var forvirrende?',
+      skippedChip:      'Opgave sprunget over',
+      skippedIntro:     'Helt i orden — når du springer over, ser vi, hvor designet skal forbedres. Hvad gjorde opgaven svær?',
+      skippedComment:   'Kommentarer',
+      skippedPlaceholder:'Hvad var uklart eller svært at finde?',
+      finalChip:        'Næsten færdig 🎉',
+      finalTitle:       'En sidste ting',
+      finalQuestion:    'Hvordan vil du alt i alt vurdere din oplevelse med denne prototype?',
+      overallLow:       'Meget dårlig',
+      overallHigh:      'Fremragende',
+      finalComment:     'Afsluttende tanker?',
+      finalPlaceholder: 'Samlet indtryk, forslag, alt hvad du har lagt mærke til…',
+      submitFeedback:   'Send feedback',
+      sendingTitle:     'Sender dine resultater…',
+      sendingText:      'Det tager kun et øjeblik — hold venligst fanen åben.',
+      thanksTitle:      'Tak!',
+      sentText:         'Din feedback er gemt. Du kan lukke fanen, når du er klar.',
+      queuedText:       'Din feedback er gemt i denne browser, men kunne ikke sendes endnu. Den sendes automatisk, når du er online igen eller næste gang du åbner prototypen — eller download en kopi og send den til den, der står for testen.',
+      failedText:       'Din feedback kunne ikke gemmes. Prøv igen, eller download en kopi og send den til den, der står for testen.',
+      thanksSummary:    '{completed}/{total} opgaver gennemført &nbsp;·&nbsp; Session {session}',
+      downloadCopy:     'Download en kopi',
+      tryAgain:         'Prøv igen',
+      barLabel:         'Testopgave',
+      starLabel:        '{n} ud af 5',
+      recallLeft:       '{seconds} sekunder tilbage',
+      collapseBar:      'Minimer opgavelinjen',
+      expandBar:        'Vis opgavelinjen',
+      consentChip:      'Før du starter',
+      consentTitle:     'Sådan bruger vi dine data',
+      consentText:      'Mens du arbejder, registrerer vi, hvordan du bruger prototypen — klik, tryk, besøgte sider og tider — sammen med dine svar og bedømmelser. Tekst, du skriver i selve prototypen, skjules.',
+      consentRecording: 'Skærmen optages også, så teamet kan afspille din session.',
+      consentRetention: 'Dine resultater slettes efter {days} dage.',
+      consentDelete:    'Du kan til enhver tid få dine resultater slettet: send det sessions-ID, der vises til sidst, til den ansvarlige for undersøgelsen.',
+      consentPolicy:    'Privatlivspolitik',
+      consentAgree:     'Jeg accepterer, fortsæt →',
+      consentDecline:   'Nej tak',
+      declinedTitle:    'Helt i orden',
+      declinedText:     'Intet er blevet registreret. Du kan lukke denne fane.',
+    },
+    de: {
+      welcomeChip:      'Nutzertest',
+      welcomeIntro:     'Du bekommst einige Aufgaben, die du mit diesem Prototyp lösen sollst. Geh so natürlich wie möglich vor — es gibt keine richtigen oder falschen Antworten. Wir testen das Design, nicht dich.',
+      nameLabel:        'Dein Name',
+      namePlaceholder:  'Erika Muster',
+      emailLabel:       'E-Mail',
+      emailPlaceholder: 'erika@beispiel.de',
+      optional:         '(optional)',
+      startTesting:     'Test starten →',
+      taskOf:           'Aufgabe {n} von {total}',
+      taskOfFirstClick: 'Aufgabe {n} von {total} — Erster Klick',
+      taskOfRecall:     'Aufgabe {n} von {total} — Kurzer Blick',
+      hint:             'Tipp',
+      markDone:         'Als erledigt markieren',
+      skipTask:         'Aufgabe überspringen',
+      skipConfirm:      'Diese Aufgabe überspringen?',
+      skipYes:          'Ja, überspringen',
+      skipNo:           'Weiter versuchen',
+      firstClickNote:   'Klicke einmal dorthin, wo du zuerst hingehen würdest — die Aufgabe endet mit deinem ersten Klick.',
+      letsGo:           'Verstanden, los geht’s →',
+      recallIntro:      'Du hast <strong>{seconds} Sekunden</strong>, um dir die Seite anzusehen, danach stellen wir dir eine Frage. Schau einfach ganz natürlich hin — ohne Tricks.',
+      recallQuestion:   'Die Frage, die du beantworten wirst:',
+      recallStart:      '{seconds}-Sekunden-Timer starten →',
+      recallLook:       'Jetzt hinsehen — finde die Antwort!',
+      recallCounting:   '⏱ Countdown läuft',
+      quickQuestion:    'Kurze Frage',
+      answerPlaceholder:'Deine Antwort…',
+      submitAnswer:     'Antwort senden →',
+      recallCorrect:    'Richtig!',
+      recallWrong:      'Guter Versuch!',
+      recallSpotOn:     'Genau richtig!',
+      recallAnswerWas:  'Die Antwort war: {answer}',
+      recallYours:      'Deine Antwort: <em>„{answer}“</em>',
+      recallBlank:      '(leer)',
+      nextTask:         'Nächste Aufgabe →',
+      finishTasks:      'Abschließen und Feedback geben →',
+      goalChip:         'Ziel erreicht! ✓',
+      easeQuestion:     'Gut gemacht! Wie einfach war es, diese Aufgabe zu lösen?',
+      easeLow:          'Sehr schwierig',
+      easeHigh:         'Sehr einfach',
+      easeComment:      'Anmerkungen?',
+      easePlaceholder:  'Was hat gut funktioniert? Was war verwirrend?',
+      skippedChip:      'Aufgabe übersprungen',
+      skippedIntro:     'Kein Problem — übersprungene Aufgaben zeigen uns, wo das Design noch Arbeit braucht. Was hat diese Aufgabe schwierig gemacht?',
+      skippedComment:   'Anmerkungen',
+      skippedPlaceholder:'Was war unklar oder schwer zu finden?',
+      finalChip:        'Fast geschafft 🎉',
+      finalTitle:       'Noch eine letzte Sache',
+      finalQuestion:    'Wie würdest du deine Erfahrung mit diesem Prototyp insgesamt bewerten?',
+      overallLow:       'Sehr schlecht',
+      overallHigh:      'Ausgezeichnet',
+      finalComment:     'Abschließende Gedanken?',
+      finalPlaceholder: 'Gesamteindruck, Vorschläge, alles, was dir aufgefallen ist…',
+      submitFeedback:   'Feedback senden',
+      sendingTitle:     'Deine Ergebnisse werden gesendet…',
+      sendingText:      'Das dauert nur einen Moment — bitte lass diesen Tab geöffnet.',
+      thanksTitle:      'Vielen Dank!',
+      sentText:         'Dein Feedback wurde gespeichert. Du kannst diesen Tab jetzt schließen.',
+      queuedText:       'Dein Feedback ist in diesem Browser gespeichert, konnte aber noch nicht gesendet werden. Es wird automatisch gesendet, sobald du wieder online bist oder diesen Prototyp das nächste Mal öffnest — oder lade eine Kopie herunter und schicke sie an die Studienleitung.',
+      failedText:       'Dein Feedback konnte nicht gespeichert werden. Versuch es noch einmal, oder lade eine Kopie herunter und schicke sie an die Studienleitung.',
+      thanksSummary:    '{completed}/{total} Aufgaben erledigt &nbsp;·&nbsp; Sitzung {session}',
+      downloadCopy:     'Kopie herunterladen',
+      tryAgain:         'Erneut versuchen',
+      barLabel:         'Testaufgabe',
+      starLabel:        '{n} von 5',
+      recallLeft:       'Noch {seconds} Sekunden',
+      collapseBar:      'Aufgabenleiste minimieren',
+      expandBar:        'Aufgabenleiste anzeigen',
+      consentChip:      'Bevor es losgeht',
+      consentTitle:     'Wie deine Daten verwendet werden',
+      consentText:      'Während du arbeitest, erfassen wir, wie du diesen Prototyp nutzt — Klicks, Tipps, besuchte Seiten und Zeiten — sowie deine Antworten und Bewertungen. Text, den du in den Prototyp selbst eingibst, wird ausgeblendet.',
+      consentRecording: 'Außerdem wird der Bildschirm aufgezeichnet, damit das Team deine Sitzung abspielen kann.',
+      consentRetention: 'Deine Ergebnisse werden nach {days} Tagen gelöscht.',
+      consentDelete:    'Du kannst deine Ergebnisse jederzeit löschen lassen: Schick die am Ende angezeigte Sitzungs-ID an die Studienleitung.',
+      consentPolicy:    'Datenschutzerklärung',
+      consentAgree:     'Einverstanden, weiter →',
+      consentDecline:   'Nein danke',
+      declinedTitle:    'Kein Problem',
+      declinedText:     'Es wurde nichts aufgezeichnet. Du kannst diesen Tab schließen.',
+    },
+    ar: {
+      welcomeChip:      'اختبار المستخدم',
+      welcomeIntro:     'ستُطلب منك مجموعة من المهام لتنفيذها باستخدام هذا النموذج الأولي. تصرّف بشكل طبيعي قدر الإمكان — لا توجد إجابات صحيحة أو خاطئة. نحن نختبر التصميم، لا نختبرك أنت.',
+      nameLabel:        'اسمك',
+      namePlaceholder:  'سارة أحمد',
+      emailLabel:       'البريد الإلكتروني',
+      emailPlaceholder: 'sara@example.com',
+      optional:         '(اختياري)',
+      startTesting:     'ابدأ الاختبار ←',
+      taskOf:           'المهمة {n} من {total}',
+      taskOfFirstClick: 'المهمة {n} من {total} — النقرة الأولى',
+      taskOfRecall:     'المهمة {n} من {total} — تذكّر سريع',
+      hint:             'تلميح',
+      markDone:         'تم الإنجاز',
+      skipTask:         'تخطَّ المهمة',
+      skipConfirm:      'هل تريد تخطي هذه المهمة؟',
+      skipYes:          'نعم، تخطَّها',
+      skipNo:           'سأواصل المحاولة',
+      firstClickNote:   'انقر مرة واحدة حيث كنت ستذهب أولاً — تنتهي المهمة بنقرتك الأولى.',
+      letsGo:           'فهمت، لنبدأ ←',
+      recallIntro:      'سيكون لديك <strong>{seconds} ثوانٍ</strong> للنظر إلى الصفحة، ثم سنطرح عليك سؤالاً واحداً. انظر بشكل طبيعي — لا توجد خدع.',
+      recallQuestion:   'السؤال الذي ستجيب عنه:',
+      recallStart:      'ابدأ مؤقت {seconds} ثوانٍ ←',
+      recallLook:       'انظر الآن — ابحث عن الإجابة!',
+      recallCounting:   '⏱ العد التنازلي',
+      quickQuestion:    'سؤال سريع',
+      answerPlaceholder:'اكتب إجابتك…',
+      submitAnswer:     'أرسل الإجابة ←',
+      recallCorrect:    'صحيح!',
+      recallWrong:      'محاولة جيدة!',
+      recallSpotOn:     'إجابة دقيقة!',
+      recallAnswerWas:  'الإجابة الصحيحة: {answer}',
+      recallYours:      'إجابتك: <em>«{answer}»</em>',
+      recallBlank:      '(فارغة)',
+      nextTask:         'المهمة التالية ←',
+      finishTasks:      'إنهاء وإبداء الرأي ←',
+      goalChip:         'تم تحقيق الهدف! ✓',
+      easeQuestion:     'أحسنت! ما مدى سهولة إنجاز هذه المهمة؟',
+      easeLow:          'صعبة جداً',
+      easeHigh:         'سهلة جداً',
+      easeComment:      'هل لديك تعليقات؟',
+      easePlaceholder:  'ما الذي نجح؟ وما الذي كان مربكاً؟',
+      skippedChip:      'تم تخطي المهمة',
+      skippedIntro:     'لا بأس — التخطي يساعدنا على معرفة أين يحتاج التصميم إلى تحسين. ما الذي جعل هذه المهمة صعبة؟',
+      skippedComment:   'تعليقات',
+      skippedPlaceholder:'ما الذي كان غير واضح أو صعب الإيجاد؟',
+      finalChip:        'أوشكت على الانتهاء 🎉',
+      finalTitle:       'شيء أخير',
+      finalQuestion:    'بشكل عام، كيف تقيّم تجربتك مع هذا النموذج الأولي؟',
+      overallLow:       'سيئة جداً',
+      overallHigh:      'ممتازة',
+      finalComment:     'أفكار أخيرة؟',
+      finalPlaceholder: 'انطباعك العام، اقتراحاتك، أي شيء لاحظته…',
+      submitFeedback:   'أرسل رأيك',
+      sendingTitle:     'جارٍ إرسال نتائجك…',
+      sendingText:      'لن يستغرق ذلك سوى لحظة — يُرجى إبقاء هذه الصفحة مفتوحة.',
+      thanksTitle:      'شكراً لك!',
+      sentText:         'تم تسجيل ملاحظاتك. يمكنك إغلاق هذه الصفحة متى شئت.',
+      queuedText:       'ملاحظاتك محفوظة في هذا المتصفح لكن لم يتم إرسالها بعد. سيتم إرسالها تلقائياً عند عودتك إلى الاتصال أو عند فتح هذا النموذج مرة أخرى — أو يمكنك تنزيل نسخة وإرسالها إلى منظّم الدراسة.',
+      failedText:       'تعذّر حفظ ملاحظاتك. حاول مرة أخرى، أو نزّل نسخة وأرسلها إلى منظّم الدراسة.',
+      thanksSummary:    '{completed}/{total} مهام مكتملة &nbsp;·&nbsp; الجلسة {session}',
+      downloadCopy:     'نزّل نسخة',
+      tryAgain:         'حاول مرة أخرى',
+      barLabel:         'مهمة الاختبار',
+      starLabel:        '{n} من 5',
+      recallLeft:       'متبقٍ {seconds} ثوانٍ',
+      collapseBar:      'تصغير شريط المهمة',
+      expandBar:        'إظهار شريط المهمة',
+      consentChip:      'قبل أن تبدأ',
+      consentTitle:     'كيف نستخدم بياناتك',
+      consentText:      'أثناء عملك نسجّل كيفية استخدامك لهذا النموذج الأولي — النقرات واللمسات والصفحات التي تزورها والأوقات — إلى جانب إجاباتك وتقييماتك. النص الذي تكتبه داخل النموذج نفسه يكون مخفياً.',
+      consentRecording: 'تُسجَّل الشاشة أيضاً حتى يتمكن الفريق من إعادة عرض جلستك.',
+      consentRetention: 'تُحذف نتائجك بعد {days} يوماً.',
+      consentDelete:    'يمكنك طلب حذف نتائجك في أي وقت: أرسل معرّف الجلسة الذي يظهر في النهاية إلى منظّم الدراسة.',
+      consentPolicy:    'سياسة الخصوصية',
+      consentAgree:     'أوافق، متابعة ←',
+      consentDecline:   'لا، شكراً',
+      declinedTitle:    'لا مشكلة',
+      declinedText:     'لم يُسجَّل أي شيء. يمكنك إغلاق هذه الصفحة.',
+    },
+  };
+  const RTL_LANGS = ['ar', 'fa', 'he', 'ur'];   // laid out right-to-left
+
+  // Overlay colours, set as custom properties on the shadow host. The default
+  // is a dark bar with light dialogs; `theme` switches to all-light, all-dark
+  // or whichever the tester's system prefers.
+  const THEMES = {
+    barDark:    '--pt-bar-bg:#18181b; --pt-bar-fg:#fff; --pt-bar-muted:#a1a1aa; --pt-bar-faint:#71717a; --pt-bar-dim:#52525b; --pt-bar-text:#d4d4d8; --pt-tint:255,255,255; --pt-shadow:.22; --pt-danger:#fca5a5; --pt-warn:#fcd34d;',
+    barLight:   '--pt-bar-bg:#fff; --pt-bar-fg:#18181b; --pt-bar-muted:#52525b; --pt-bar-faint:#71717a; --pt-bar-dim:#a1a1aa; --pt-bar-text:#3f3f46; --pt-tint:0,0,0; --pt-shadow:.12; --pt-danger:#dc2626; --pt-warn:#b45309;',
+    modalLight: '--pt-modal-bg:#fff; --pt-heading:#111; --pt-text:#555; --pt-label:#374151; --pt-subtle:#9ca3af; --pt-note:#6b7280; --pt-border:#e5e7eb; --pt-field-bg:#fafafa; --pt-ghost-bg:#f4f4f5; --pt-ghost-fg:#3f3f46; --pt-hover-bg:#eff6ff; --pt-hover-border:#bfdbfe; --pt-callout-bg:#fffbeb;',
+    modalDark:  '--pt-modal-bg:#1f1f23; --pt-heading:#fafafa; --pt-text:#a1a1aa; --pt-label:#d4d4d8; --pt-subtle:#71717a; --pt-note:#a1a1aa; --pt-border:#3f3f46; --pt-field-bg:#27272a; --pt-ghost-bg:#27272a; --pt-ghost-fg:#e4e4e7; --pt-hover-bg:#312e81; --pt-hover-border:#4338ca; --pt-callout-bg:rgba(245,158,11,.12);',
+  };
+
   const PT = {
 
     // ─── Config ──────────────────────────────────────────────────────────────
@@ -58,7 +467,26 @@
       collectTesterInfo:  true,
       allowSkip:          true,
       primaryColor:       '#6366f1',
+      theme:              null,          // null (dark bar, light dialogs) | 'light' | 'dark' | 'auto'
+      barPosition:        'bottom',      // 'bottom' | 'top' | 'floating'
+      barCollapsed:       false,         // start with the bar collapsed to a pill
       downloadResults:    true,          // auto-set to false if supabaseUrl is provided
+      transports:         null,          // result destinations; null = from supabaseUrl / webhookUrl / downloadResults
+      onSubmit:           null,          // fn(payload) called on submit; may return a promise
+      persistSession:     true,          // resume across reloads / pages of the same study
+      variants:           null,          // [{ name, weight, url | tasks }] — one link, several flows
+      variantAssignment:  'random',      // 'random' (by weight) | 'balanced' (by session counts)
+      taskOrder:          'fixed',       // 'fixed' | 'shuffle' | 'grouped' | 'latin', or { mode, seed, counter }
+      idleThreshold:      3000,          // ms without input that counts as an idle gap
+      recordSession:      false,         // record DOM + interactions per task for replay
+      trackProgress:      true,          // write in-progress / abandoned sessions to Supabase
+      deviceProfile:      true,          // record viewport, DPR, pointer and orientation changes
+      locale:             'en',          // 'en' | 'da' | 'de' | 'ar', or any tag with `messages`
+      messages:           null,          // { key: 'text' } overrides for the tester-facing copy
+      consent:            null,          // true | 'HTML' | { text, policyUrl } — ask before the welcome screen
+      anonymous:          false,         // no name / email, and no user agent in the device profile
+      maskSelectors:      [],            // selectors whose text is masked, on top of [data-pt-mask]
+      retentionDays:      null,          // days to keep results; sent as retainUntil for the dashboard to purge
     },
 
     // ─── State ───────────────────────────────────────────────────────────────
@@ -68,22 +496,61 @@
       testerName:     '',
       testerEmail:    '',
       sessionStart:   null,
+      consentedAt:    null,   // when the tester agreed to `consent`
       currentTask:    0,
+      stage:          null,   // 'intro' | 'task' | 'goal' | 'skip' | 'recorded' | 'final'
       taskStart:      null,
+      taskEnd:        null,   // when the goal was reached / skip was pressed
       clicks:         [],
+      swipes:         [],     // touch swipes during the current task
+      pages:          [],     // page transitions during the current task
+      page:           null,   // path of the page the session was last on
+      path:           [],     // navigation steps checked against the task's expectedPath
+      signals:        null,   // behavioural counters for the current task
+      lastChange:     0,      // last DOM / URL change outside the overlay
+      rec:            null,   // active recorder for the current task
+      recSeq:         0,      // next recording chunk number for this session
+      recordings:     {},     // taskId → events, kept for the JSON download when not uploading
+      outbox:         [],     // in-memory copy of the result outbox
+      outboxMem:      false,  // true when localStorage can't hold the outbox
+      outboxTimer:    null,
+      sending:        {},     // outbox id → in-flight send promise
+      submitted:      null,   // { payload, ids } of this page's submission
+      away:           false,  // page unloaded and an 'abandoned' write already sent
+      variant:        null,   // name of the assigned variant, if `variants` is set
+      order:          [],     // config task indices in the order this session shows them
+      orderSeed:      null,   // PRNG seed the order was shuffled with
+      orderRow:       null,   // Latin-square row, for taskOrder 'latin'
+      counter:        null,   // sessions started so far, once known (Latin-square row source)
       taskResults:    [],
       goalListener:   null,   // { event, fn }
+      goalWatch:      null,   // { goal, latched, stop } for declarative `goal` tasks
+      firstClickFn:   null,   // capture listener for first-click tasks
       timerIv:        null,
       recallIv:       null,   // countdown interval for recall tasks
       recallActive:   false,  // true while recall countdown is running
       hintOpen:       false,
+      device:         null,   // device profile, taken when the session starts
+      pointer:        null,   // pointerType of the last pointerdown
+      collapsed:      false,  // bar shown as a pill
+      root:           null,   // shadow root holding the overlay
+      lastFocus:      null,   // page element focused before a dialog opened
       skipState:      false,  // true = showing skip confirm
       goalFired:      false,  // guard against double-fire
+      goalTimer:      null,   // pending success screen after the goal fires
+      inited:         false,
+      handlers:       {},     // event name → handlers registered with on()
+      unlisten:       [],     // removers for document / window listeners, run by destroy()
     },
 
     // ─── Public API ──────────────────────────────────────────────────────────
 
     init(config) {
+      // ?pt_preview renders the bare prototype (the dashboard heatmap loads it in an iframe)
+      if (new URLSearchParams(location.search).has('pt_preview')) return PT;
+      // Safe to call twice (e.g. React StrictMode effects); destroy() first to re-init
+      if (PT._s.inited) return PT;
+      PT._s.inited = true;
       Object.assign(PT._cfg, config);
 
       // ── Auto-load Supabase credentials from localStorage if not hardcoded ──
@@ -101,12 +568,51 @@
         } catch (e) { /* localStorage not available */ }
       }
 
+      (PT._cfg.maskSelectors || []).forEach(sel => {
+        try { document.createDocumentFragment().querySelector(sel); }
+        catch (e) { console.warn(`[PrototypeTester] maskSelectors: "${sel}" is not a valid selector — all captured page text is masked until it is fixed`); }
+      });
+
+      // Retry results a previous page couldn't send
+      PT._outboxFlush();
+      PT._on(global, 'online', () => PT._outboxFlush(true));
+
       PT._s.sessionId    = PT._uid();
       PT._s.sessionStart = Date.now();
+      const resumed = PT._restore();
+      const variants = PT._cfg.variants;
+      if (variants && !resumed) {
+        // Assignment may wait for Supabase counts, and may send the tester to another page
+        const state = PT._s;
+        PT._assignVariant().then(v => {
+          if (PT._s === state && PT._useVariant(v)) PT._boot(false);   // unless destroyed meanwhile
+        });
+        return PT;
+      }
+      const saved = variants && variants.find(v => v.name === PT._s.variant);
+      if (saved && saved.tasks) PT._cfg.tasks = saved.tasks;
+      PT._boot(resumed);
+      return PT;
+    },
+
+    _boot(resumed) {
+      if (PT._s.order.length !== PT._cfg.tasks.length) PT._s.order = PT._cfg.tasks.map((t, i) => i);
+      if (!resumed && PT._orderCfg().mode === 'latin') PT._loadCounter();
+      if (!resumed) PT._s.collapsed = !!PT._cfg.barCollapsed;
+      PT._mount();
       PT._css();
       PT._buildShell();
       PT._trackClicks();
-      PT._showWelcome();
+      PT._trackTouch();
+      PT._trackNavigation();
+      PT._trackSignals();
+      PT._trackLeave();
+      if (resumed) {
+        PT._resume();
+      } else {
+        PT._s.page = PT._page();
+        PT._showWelcome();
+      }
     },
 
     /** Call this from prototype code to signal goal achieved */
@@ -114,9 +620,101 @@
       if (PT._s.taskStart && !PT._s.goalFired) PT._goalReached();
     },
 
+    /** Subscribe to a lifecycle event; returns a function that unsubscribes */
+    on(event, fn) {
+      (PT._s.handlers[event] = PT._s.handlers[event] || []).push(fn);
+      return () => PT.off(event, fn);
+    },
+
+    /** Unsubscribe one handler, or every handler of the event when `fn` is omitted */
+    off(event, fn) {
+      const list = PT._s.handlers[event];
+      if (list) PT._s.handlers[event] = fn ? list.filter(f => f !== fn) : [];
+    },
+
+    /** Starts the session without the welcome screen (after the consent step, if any); `tester` = { name, email } */
+    start(tester = {}) {
+      if (!PT._s.inited || PT._s.stage) return false;
+      const begin = () => PT._begin(tester.name || '', tester.email || '');
+      if (PT._cfg.consent && !PT._s.consentedAt) PT._showConsent(begin);
+      else begin();
+      return true;
+    },
+
+    /** Skips the current task, as if the tester had confirmed "Skip task" */
+    skipTask() {
+      if (PT._s.stage !== 'intro' && PT._s.stage !== 'task') return false;
+      clearInterval(PT._s.recallIv);
+      PT._s.recallIv     = null;
+      PT._s.recallActive = false;
+      PT._doSkip();
+      return true;
+    },
+
+    /** Jumps to a task by id (or position in the session's order); a result already recorded for it is replaced */
+    goToTask(id) {
+      const tasks = PT._tasks();
+      const index = typeof id === 'number' ? id : tasks.findIndex(t => PT._taskId(t) === id);
+      if (!PT._s.stage || PT._s.submitted || !tasks[index]) return false;
+      clearTimeout(PT._s.goalTimer);
+      PT._clearGoalListener();
+      PT._s.taskResults = PT._s.taskResults.filter(r => r.taskId !== PT._taskId(tasks[index]));
+      PT._el('_pt-bar').style.display = '';
+      PT._startTask(index);
+      return true;
+    },
+
+    /** Snapshot of the session for the host prototype */
+    getState() {
+      const s      = PT._s;
+      const onTask = s.stage && s.stage !== 'final';
+      const task   = PT._task();
+      return {
+        sessionId:  s.sessionId,
+        stage:      s.submitted ? 'submitted' : s.stage,   // null until the session starts
+        order:      PT._tasks().map(PT._taskId),
+        taskIndex:  onTask ? s.currentTask : null,   // position in `order`
+        taskId:     onTask && task ? PT._taskId(task) : null,
+        taskStart:  s.taskStart,
+        elapsedMs:  s.taskStart ? (s.taskEnd || Date.now()) - s.taskStart : 0,
+        totalTasks: PT._cfg.tasks.length,
+        results:    s.taskResults.slice(),
+      };
+    },
+
+    /** Removes the overlay, listeners and timers; the saved session survives, so init() resumes it */
+    destroy() {
+      if (!PT._s.inited) return;
+      PT._clearGoalListener();   // also stops the recorder
+      PT._s.unlisten.forEach(fn => fn());
+      clearInterval(PT._s.timerIv);
+      clearInterval(PT._s.recallIv);
+      clearTimeout(PT._s.goalTimer);
+      clearTimeout(PT._s.outboxTimer);
+      const host = document.getElementById('_pt-root');
+      if (host) host.remove();
+      const d = JSON.parse(DEFAULTS);
+      PT._cfg = d.cfg;
+      PT._s   = d.s;
+    },
+
     // ─── Utilities ───────────────────────────────────────────────────────────
 
     _uid()  { return Date.now().toString(36) + Math.random().toString(36).slice(2, 7); },
+    _taskId(task) { return task.id || `task_${PT._cfg.tasks.indexOf(task) + 1}`; },
+
+    /** addEventListener that destroy() undoes */
+    _on(target, type, fn, opts) {
+      target.addEventListener(type, fn, opts);
+      PT._s.unlisten.push(() => target.removeEventListener(type, fn, opts));
+    },
+
+    _emit(event, detail) {
+      (PT._s.handlers[event] || []).slice().forEach(fn => {
+        try { fn(detail); }
+        catch (e) { console.warn(`[PrototypeTester] "${event}" handler error:`, e); }
+      });
+    },
     _fmt(ms) {
       const s = Math.floor(ms / 1000);
       return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${s % 60}s`;
@@ -127,25 +725,81 @@
         .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     },
 
+    /** Tester-facing copy for `key` in the configured locale, with `{name}` placeholders filled in */
+    _t(key, vars = {}) {
+      const own  = PT._cfg.messages || {};
+      const lang = MESSAGES[PT._cfg.locale] || MESSAGES[PT._lang()] || MESSAGES.en;
+      const str  = own[key] != null ? own[key] : lang[key] != null ? lang[key] : MESSAGES.en[key];
+      return String(str).replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? PT._esc(vars[name]) : m));
+    },
+    _lang() { return String(PT._cfg.locale || 'en').split('-')[0].toLowerCase(); },
+    _dir()  { return RTL_LANGS.includes(PT._lang()) ? 'rtl' : 'ltr'; },
+
+    /** Sets the overlay element's language and direction */
+    _localize(el) {
+      el.lang = PT._cfg.locale;
+      el.dir  = PT._dir();
+      return el;
+    },
+
     // ─── CSS ─────────────────────────────────────────────────────────────────
 
     _css() {
       const c = PT._cfg.primaryColor;
       const sheet = `
-        /* ── Reset ── */
-        #_pt-prog, #_pt-bar, #_pt-back { * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, sans-serif; } }
+        /* ── Reset: nothing inherited from the page ── */
+        :host {
+          all:initial;
+          font-family:-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, sans-serif;
+          ${THEMES.barDark} ${THEMES.modalLight}
+        }
+        :host(.pt-light) { ${THEMES.barLight} }
+        :host(.pt-dark)  { ${THEMES.modalDark} }
+        @media (prefers-color-scheme: light) { :host(.pt-auto) { ${THEMES.barLight} } }
+        @media (prefers-color-scheme: dark)  { :host(.pt-auto) { ${THEMES.modalDark} } }
+        *, *::before, *::after { box-sizing:border-box; }
+        button { font-family:inherit; }
 
         /* ── Progress bar ── */
-        #_pt-prog { position:fixed; top:0; left:0; right:0; height:3px; z-index:2147483647; background:rgba(255,255,255,.06); pointer-events:none; }
+        #_pt-prog { position:fixed; top:0; left:0; right:0; height:3px; z-index:2147483647; background:rgba(var(--pt-tint),.06); pointer-events:none; }
         #_pt-prog-fill { height:100%; background:${c}; transition:width .5s ease; width:0%; }
 
-        /* ── Bottom bar ── */
+        /* ── Task bar ── */
         #_pt-bar {
           position:fixed; bottom:0; left:0; right:0; z-index:2147483646;
-          background:#18181b; color:#fff;
+          background:var(--pt-bar-bg); color:var(--pt-bar-fg);
           display:flex; flex-direction:column;
-          box-shadow: 0 -2px 24px rgba(0,0,0,.22);
+          padding-bottom:env(safe-area-inset-bottom, 0px);
+          box-shadow: 0 -2px 24px rgba(0,0,0,var(--pt-shadow));
+        }
+        #_pt-bar._pt-top { top:0; bottom:auto; box-shadow:0 2px 24px rgba(0,0,0,var(--pt-shadow)); }
+        #_pt-bar._pt-floating {
+          bottom:16px; left:50%; right:auto; transform:translateX(-50%);
+          width:min(960px, calc(100% - 32px)); border-radius:16px;
+          box-shadow:0 8px 32px rgba(0,0,0,var(--pt-shadow));
+        }
+
+        /* Collapsed to a pill in the corner */
+        #_pt-bar._pt-collapsed {
+          left:auto; right:16px; bottom:16px; width:auto; transform:none;
+          border-radius:999px; box-shadow:0 4px 20px rgba(0,0,0,var(--pt-shadow));
+        }
+        #_pt-bar._pt-collapsed._pt-top { top:12px; bottom:auto; }
+        #_pt-bar[dir=rtl]._pt-collapsed { right:auto; left:16px; }
+        #_pt-bar._pt-collapsed #_pt-bar-main, #_pt-bar._pt-collapsed #_pt-hint-row { display:none; }
+        #_pt-pill {
+          display:none; align-items:center; gap:8px;
+          background:none; border:none; color:inherit; cursor:pointer;
+          padding:9px 16px; font-size:13px; font-weight:600; white-space:nowrap;
+        }
+        #_pt-pill::before { content:''; width:8px; height:8px; border-radius:50%; background:${c}; }
+        #_pt-bar._pt-collapsed #_pt-pill { display:flex; }
+        #_pt-collapse-btn {
+          display:flex; align-items:center; justify-content:center;
+          background:none; border:none; border-radius:8px; padding:6px;
+          color:var(--pt-bar-faint); cursor:pointer; flex-shrink:0;
         }
+        #_pt-collapse-btn:hover { background:rgba(var(--pt-tint),.08); color:var(--pt-bar-fg); }
         #_pt-bar-main {
           display:flex; align-items:center; gap:14px;
           padding:11px 20px; min-height:58px;
@@ -160,20 +814,21 @@
         }
 
         /* Task info */
-        #_pt-info { flex:1; min-width:0; }
+        #_pt-info { flex:1; min-width:0; cursor:pointer; }
+        #_pt-bar._pt-expanded #_pt-title, #_pt-bar._pt-expanded #_pt-desc { white-space:normal; }
         #_pt-title { font-size:14px; font-weight:600; line-height:1.35; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-        #_pt-desc  { font-size:12px; color:#a1a1aa; margin-top:2px; line-height:1.4; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+        #_pt-desc  { font-size:12px; color:var(--pt-bar-muted); margin-top:2px; line-height:1.4; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
 
         /* Hint button */
         #_pt-hint-btn {
           display:none;
           align-items:center; gap:5px;
-          background:rgba(255,255,255,.08); border:none; border-radius:8px;
-          padding:6px 11px; color:#a1a1aa; font-size:12px; font-weight:600;
+          background:rgba(var(--pt-tint),.08); border:none; border-radius:8px;
+          padding:6px 11px; color:var(--pt-bar-muted); font-size:12px; font-weight:600;
           cursor:pointer; white-space:nowrap; flex-shrink:0; transition:background .1s,color .1s;
         }
-        #_pt-hint-btn:hover  { background:rgba(255,255,255,.14); color:#fff; }
-        #_pt-hint-btn.active { background:rgba(255,255,255,.12); color:#fff; }
+        #_pt-hint-btn:hover  { background:rgba(var(--pt-tint),.14); color:var(--pt-bar-fg); }
+        #_pt-hint-btn.active { background:rgba(var(--pt-tint),.12); color:var(--pt-bar-fg); }
 
         /* Hint row (below main row) */
         #_pt-hint-row {
@@ -183,13 +838,13 @@
         #_pt-hint-row.open { display:flex; }
         @keyframes _pt-hint-in { from{opacity:0;transform:translateY(-4px)} to{opacity:1;transform:none} }
         #_pt-hint-text {
-          font-size:13px; color:#d4d4d8; line-height:1.55;
-          background:rgba(255,255,255,.05); border-radius:8px;
+          font-size:13px; color:var(--pt-bar-text); line-height:1.55;
+          background:rgba(var(--pt-tint),.05); border-radius:8px;
           padding:9px 13px; flex:1;
         }
 
         /* Timer */
-        #_pt-timer { font-size:12px; color:#52525b; font-variant-numeric:tabular-nums; white-space:nowrap; flex-shrink:0; }
+        #_pt-timer { font-size:12px; color:var(--pt-bar-dim); font-variant-numeric:tabular-nums; white-space:nowrap; flex-shrink:0; }
 
         /* Right-side controls */
         #_pt-controls { display:flex; align-items:center; gap:8px; flex-shrink:0; }
@@ -207,21 +862,21 @@
 
         /* Skip button */
         #_pt-skip-btn {
-          background:rgba(255,255,255,.07); border:none; border-radius:9px;
-          padding:8px 15px; color:#71717a; font-size:13px; font-weight:600;
+          background:rgba(var(--pt-tint),.07); border:none; border-radius:9px;
+          padding:8px 15px; color:var(--pt-bar-faint); font-size:13px; font-weight:600;
           cursor:pointer; font-family:inherit; white-space:nowrap; transition:background .1s,color .1s;
         }
-        #_pt-skip-btn:hover { background:rgba(255,255,255,.12); color:#a1a1aa; }
+        #_pt-skip-btn:hover { background:rgba(var(--pt-tint),.12); color:var(--pt-bar-muted); }
 
         /* Skip confirm (replaces controls) */
         #_pt-skip-confirm {
           display:none; align-items:center; gap:8px;
         }
         #_pt-skip-confirm.open { display:flex; }
-        #_pt-skip-confirm > span { font-size:13px; color:#71717a; white-space:nowrap; }
+        #_pt-skip-confirm > span { font-size:13px; color:var(--pt-bar-faint); white-space:nowrap; }
         #_pt-skip-yes {
           background:rgba(239,68,68,.15); border:none; border-radius:9px;
-          padding:8px 15px; color:#fca5a5; font-size:13px; font-weight:600;
+          padding:8px 15px; color:var(--pt-danger); font-size:13px; font-weight:600;
           cursor:pointer; font-family:inherit; transition:background .1s;
         }
         #_pt-skip-yes:hover { background:rgba(239,68,68,.28); }
@@ -239,7 +894,7 @@
           display:flex; align-items:center; justify-content:center;
         }
         #_pt-modal {
-          background:#fff; border-radius:22px; padding:38px;
+          background:var(--pt-modal-bg); color:var(--pt-text); border-radius:22px; padding:38px;
           max-width:500px; width:calc(100% - 40px);
           box-shadow:0 32px 80px rgba(0,0,0,.25);
           animation:_pt-pop .22s cubic-bezier(.34,1.3,.64,1);
@@ -248,16 +903,20 @@
           from { opacity:0; transform:scale(.91) translateY(12px); }
           to   { opacity:1; transform:scale(1) translateY(0); }
         }
-        #_pt-modal h2 { margin:0 0 8px; font-size:22px; color:#111; }
-        #_pt-modal p  { margin:0 0 20px; font-size:15px; color:#555; line-height:1.65; }
-        #_pt-modal label { display:block; font-size:13px; font-weight:600; color:#374151; margin-bottom:6px; }
+        #_pt-modal h2 { margin:0 0 8px; font-size:22px; color:var(--pt-heading); }
+        #_pt-modal p  { margin:0 0 20px; font-size:15px; color:var(--pt-text); line-height:1.65; }
+        #_pt-modal label { display:block; font-size:13px; font-weight:600; color:var(--pt-label); margin-bottom:6px; }
         #_pt-modal input, #_pt-modal textarea {
-          width:100%; border:1.5px solid #e5e7eb; border-radius:10px;
-          padding:10px 13px; font-size:14px; color:#111;
+          width:100%; border:1.5px solid var(--pt-border); border-radius:10px;
+          padding:10px 13px; font-size:14px; color:var(--pt-heading);
           margin-bottom:16px; outline:none; font-family:inherit;
-          background:#fafafa; transition:border-color .15s;
+          background:var(--pt-field-bg); transition:border-color .15s;
         }
-        #_pt-modal input:focus, #_pt-modal textarea:focus { border-color:${c}; background:#fff; }
+        #_pt-modal input:focus, #_pt-modal textarea:focus { border-color:${c}; background:var(--pt-modal-bg); }
+        ._pt-optional { font-weight:400; color:var(--pt-subtle); }
+        ._pt-note     { font-size:13px; color:var(--pt-note); }
+        ._pt-consent  { margin:-8px 0 20px; padding-inline-start:18px; line-height:1.6; }
+        ._pt-consent a { color:${c}; }
         #_pt-modal textarea { resize:vertical; min-height:80px; }
 
         /* Chip */
@@ -288,10 +947,14 @@
 
         /* ── Star rating ── */
         ._pt-stars  { display:flex; gap:8px; margin-bottom:6px; }
-        ._pt-star   { font-size:32px; cursor:pointer; opacity:.18; line-height:1; transition:opacity .12s, transform .1s; }
+        ._pt-star   {
+          font-size:32px; cursor:pointer; opacity:.18; line-height:1; transition:opacity .12s, transform .1s;
+          background:none; border:none; padding:0; color:inherit; font-family:inherit;
+        }
         ._pt-star:hover { transform:scale(1.2); opacity:.6; }
         ._pt-star.on    { opacity:1; }
-        ._pt-star-sub   { display:flex; justify-content:space-between; font-size:11px; color:#9ca3af; margin-bottom:20px; }
+        ._pt-star:focus-visible { opacity:.6; outline:2px solid ${c}; outline-offset:3px; border-radius:4px; }
+        ._pt-star-sub   { display:flex; justify-content:space-between; font-size:11px; color:var(--pt-subtle); margin-bottom:20px; }
 
         /* ── Modal buttons ── */
         ._pt-actions { display:flex; gap:10px; justify-content:flex-end; margin-top:8px; }
@@ -302,7 +965,7 @@
         }
         ._pt-btn-primary { background:${c}; color:#fff; }
         ._pt-btn-primary:hover { filter:brightness(1.1); }
-        ._pt-btn-ghost { background:#f4f4f5; color:#3f3f46; }
+        ._pt-btn-ghost { background:var(--pt-ghost-bg); color:var(--pt-ghost-fg); }
         ._pt-btn-ghost:hover { filter:brightness(.95); }
         ._pt-full { width:100%; justify-content:center; text-align:center; }
 
@@ -315,237 +978,619 @@
 
         /* ── Recall task ── */
         #_pt-timer.recall-tick {
-          font-size:22px; font-weight:700; color:#fff;
-          min-width:2.5ch; text-align:right;
+          font-size:22px; font-weight:700; color:var(--pt-bar-fg);
+          min-width:2.5ch; text-align:end;
           transition: color .3s;
         }
         #_pt-timer.recall-tick.urgent { color:#f87171; }
         #_pt-badge.recall { background:#f59e0b !important; }
         ._pt-recall-look {
-          font-size:13px; color:#fcd34d; font-weight:600;
+          font-size:13px; color:var(--pt-warn); font-weight:600;
           background:rgba(245,158,11,.12); border-radius:6px;
-          padding:2px 8px; margin-left:6px;
+          padding:2px 8px; margin-inline-start:6px;
         }
         ._pt-recall-opts { display:flex; flex-direction:column; gap:8px; margin-bottom:16px; }
         ._pt-recall-opt {
-          text-align:left; padding:12px 16px; border-radius:10px;
-          background:#f9fafb; border:1.5px solid #e5e7eb;
+          text-align:start; padding:12px 16px; border-radius:10px;
+          background:var(--pt-field-bg); border:1.5px solid var(--pt-border); color:var(--pt-heading);
           font-size:15px; font-weight:500; cursor:pointer; font-family:inherit;
           transition:background .12s, border-color .12s;
         }
-        ._pt-recall-opt:hover  { background:#eff6ff; border-color:#bfdbfe; }
-        ._pt-recall-opt.chosen { background:#eff6ff; border-color:${c}; outline:2px solid ${c}; }
+        ._pt-recall-opt:hover  { background:var(--pt-hover-bg); border-color:var(--pt-hover-border); }
+        ._pt-recall-opt.chosen { background:var(--pt-hover-bg); border-color:${c}; outline:2px solid ${c}; }
+        ._pt-recall-callout {
+          font-size:14px; background:var(--pt-callout-bg); color:var(--pt-heading);
+          border-inline-start:3px solid #f59e0b; padding:10px 14px;
+          border-start-end-radius:8px; border-end-end-radius:8px; margin-top:-8px;
+        }
         ._pt-recall-question {
-          font-size:18px; font-weight:600; color:#111;
+          font-size:18px; font-weight:600; color:var(--pt-heading);
           margin:0 0 20px; line-height:1.45;
         }
+
+        /* ── Phones: compact bar, tap the task to expand it ── */
+        @media (max-width: 640px) {
+          #_pt-bar-main { flex-wrap:wrap; gap:8px 10px; padding:9px 12px; min-height:0; }
+          #_pt-badge { padding:2px 8px; font-size:10px; }
+          #_pt-title { font-size:13px; }
+          #_pt-desc, #_pt-hint-btn, #_pt-timer:not(.recall-tick) { display:none !important; }
+          #_pt-bar._pt-expanded #_pt-desc { display:block !important; }
+          #_pt-bar._pt-expanded #_pt-hint-btn { display:flex !important; }
+          #_pt-controls, #_pt-skip-confirm.open { order:1; flex-basis:100%; }
+          #_pt-controls > button, #_pt-skip-confirm > button { flex:1; justify-content:center; }
+          #_pt-skip-confirm > span { display:none; }
+          #_pt-hint-row { padding:0 12px 10px; }
+          #_pt-modal { padding:26px 20px; border-radius:18px; max-height:calc(100% - 24px); overflow-y:auto; }
+          #_pt-modal h2 { font-size:19px; }
+          #_pt-modal p  { font-size:14px; }
+        }
+
+        /* ── Screen readers ── */
+        #_pt-live {
+          position:absolute; width:1px; height:1px; margin:-1px; padding:0;
+          overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; border:0;
+        }
+        #_pt-modal:focus { outline:none; }
+        #_pt-bar button:focus-visible, ._pt-btn:focus-visible, ._pt-recall-opt:focus-visible { outline:2px solid ${c}; outline-offset:2px; }
+
+        /* ── Reduced motion ── */
+        @media (prefers-reduced-motion: reduce) {
+          #_pt-modal, #_pt-hint-row { animation:none; }
+          ._pt-circ, ._pt-tick { animation:none; stroke-dashoffset:0; }
+          #_pt-prog-fill, ._pt-star, #_pt-timer.recall-tick { transition:none; }
+          ._pt-star:hover { transform:none; }
+        }
       `;
       const el = document.createElement('style');
       el.textContent = sheet;
-      document.head.appendChild(el);
+      PT._s.root.appendChild(el);
     },
 
     // ─── Shell ───────────────────────────────────────────────────────────────
+    // The overlay lives in a shadow root on #_pt-root: the prototype's CSS can't
+    // reach it and ours can't leak out. Look elements up with PT._el(id).
+
+    _mount() {
+      const host = document.createElement('div');
+      host.id = '_pt-root';
+      if (PT._cfg.theme) host.className = `pt-${PT._cfg.theme}`;
+      document.body.appendChild(host);
+      PT._s.root = host.attachShadow({ mode: 'open' });
+    },
+
+    _el(id) { return PT._s.root ? PT._s.root.getElementById(id) : null; },
 
     _buildShell() {
       // Progress
       const prog = document.createElement('div');
       prog.id = '_pt-prog';
       prog.innerHTML = '<div id="_pt-prog-fill"></div>';
-      document.body.appendChild(prog);
+      PT._s.root.appendChild(PT._localize(prog));
 
       // Bar
       const bar = document.createElement('div');
       bar.id = '_pt-bar';
       bar.style.display = 'none';
+      if (PT._cfg.barPosition !== 'bottom') bar.classList.add(`_pt-${PT._cfg.barPosition}`);
+      bar.classList.toggle('_pt-collapsed', PT._s.collapsed);
+      bar.setAttribute('role', 'region');
+      bar.setAttribute('aria-label', PT._t('barLabel'));
       bar.innerHTML = `
         <div id="_pt-bar-main">
-          <div id="_pt-badge">Task 1</div>
-          <div id="_pt-info">
+          <div id="_pt-badge">${PT._t('taskOf', { n: 1, total: PT._cfg.tasks.length })}</div>
+          <div id="_pt-info" role="button" tabindex="0" aria-expanded="false">
             <div id="_pt-title"></div>
             <div id="_pt-desc"></div>
           </div>
-          <button id="_pt-hint-btn">
-            <svg width="13" height="13" viewBox="0 0 13 13" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round">
+          <button id="_pt-hint-btn" aria-expanded="false" aria-controls="_pt-hint-row">
+            <svg width="13" height="13" viewBox="0 0 13 13" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round">
               <circle cx="6.5" cy="6.5" r="5.5"/><path d="M6.5 9V7.5c0-.83.67-1.5 1.5-1.5s1.5.67 1.5 1.5M6.5 10.5v.01"/>
             </svg>
-            Hint
+            ${PT._t('hint')}
           </button>
-          <span id="_pt-timer"></span>
+          <span id="_pt-timer" role="timer"></span>
           <div id="_pt-controls">
             <button id="_pt-done-btn">
-              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <svg width="14" height="14" viewBox="0 0 14 14" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <polyline points="2,7 5.5,10.5 12,4"/>
               </svg>
-              Mark as done
+              ${PT._t('markDone')}
             </button>
-            <button id="_pt-skip-btn">Skip task</button>
+            <button id="_pt-skip-btn">${PT._t('skipTask')}</button>
           </div>
           <div id="_pt-skip-confirm">
-            <span>Skip this task?</span>
-            <button id="_pt-skip-yes">Yes, skip</button>
-            <button id="_pt-skip-no">Keep trying</button>
+            <span>${PT._t('skipConfirm')}</span>
+            <button id="_pt-skip-yes">${PT._t('skipYes')}</button>
+            <button id="_pt-skip-no">${PT._t('skipNo')}</button>
           </div>
+          <button id="_pt-collapse-btn" aria-label="${PT._esc(PT._t('collapseBar'))}" title="${PT._esc(PT._t('collapseBar'))}">
+            <svg width="14" height="14" viewBox="0 0 14 14" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+              <line x1="3" y1="7" x2="11" y2="7"/>
+            </svg>
+          </button>
         </div>
+        <button id="_pt-pill" aria-label="${PT._esc(PT._t('expandBar'))}"></button>
         <div id="_pt-hint-row">
-          <svg width="15" height="15" viewBox="0 0 15 15" fill="none" stroke="#f59e0b" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round" style="flex-shrink:0;margin-top:1px">
+          <svg width="15" height="15" viewBox="0 0 15 15" aria-hidden="true" fill="none" stroke="#f59e0b" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round" style="flex-shrink:0;margin-top:1px">
             <circle cx="7.5" cy="7.5" r="6"/><path d="M7.5 10.5V9c0-.83.67-1.5 1.5-1.5M7.5 6V5.99"/>
           </svg>
           <span id="_pt-hint-text"></span>
         </div>
       `;
-      document.body.appendChild(bar);
+      PT._s.root.appendChild(PT._localize(bar));
+
+      // Announcements for screen readers (task changes, goal reached, recall countdown)
+      const live = document.createElement('div');
+      live.id = '_pt-live';
+      live.setAttribute('role', 'status');
+      live.setAttribute('aria-live', 'polite');
+      PT._s.root.appendChild(PT._localize(live));
 
       // Hint toggle
-      document.getElementById('_pt-hint-btn').onclick = () => {
+      PT._el('_pt-hint-btn').onclick = () => {
         PT._s.hintOpen = !PT._s.hintOpen;
-        document.getElementById('_pt-hint-row').classList.toggle('open', PT._s.hintOpen);
-        document.getElementById('_pt-hint-btn').classList.toggle('active', PT._s.hintOpen);
+        PT._el('_pt-hint-row').classList.toggle('open', PT._s.hintOpen);
+        PT._el('_pt-hint-btn').classList.toggle('active', PT._s.hintOpen);
+        PT._el('_pt-hint-btn').setAttribute('aria-expanded', String(PT._s.hintOpen));
       };
 
+      // Tap the task to show it in full (the description is hidden on phones)
+      const info = PT._el('_pt-info');
+      info.onclick   = () => PT._expand(!PT._el('_pt-bar').classList.contains('_pt-expanded'));
+      info.onkeydown = e => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        info.click();
+      };
+
+      // Collapse to a pill and back
+      PT._el('_pt-collapse-btn').onclick = () => PT._collapse(true);
+      PT._el('_pt-pill').onclick         = () => PT._collapse(false);
+
       // Manual done
-      document.getElementById('_pt-done-btn').onclick = () => PT._goalReached();
+      PT._el('_pt-done-btn').onclick = () => PT._goalReached();
 
       // Skip: show confirm
-      document.getElementById('_pt-skip-btn').onclick = () => {
+      PT._el('_pt-skip-btn').onclick = () => {
         PT._s.skipState = true;
-        document.getElementById('_pt-controls').style.display = 'none';
-        document.getElementById('_pt-skip-confirm').classList.add('open');
+        PT._el('_pt-controls').style.display = 'none';
+        PT._el('_pt-skip-confirm').classList.add('open');
+        PT._el('_pt-skip-no').focus();
       };
       // Skip confirm: cancel
-      document.getElementById('_pt-skip-no').onclick = () => {
+      PT._el('_pt-skip-no').onclick = () => {
         PT._s.skipState = false;
-        document.getElementById('_pt-controls').style.display = '';
-        document.getElementById('_pt-skip-confirm').classList.remove('open');
+        PT._el('_pt-controls').style.display = '';
+        PT._el('_pt-skip-confirm').classList.remove('open');
+        PT._el('_pt-skip-btn').focus();
       };
       // Skip confirm: confirm
-      document.getElementById('_pt-skip-yes').onclick = () => PT._doSkip();
+      PT._el('_pt-skip-yes').onclick = () => PT._doSkip();
 
       // Live timer (skips updates while a recall countdown is running)
       PT._s.timerIv = setInterval(() => {
-        if (PT._s.taskStart && !PT._s.recallActive && !document.getElementById('_pt-back')) {
-          document.getElementById('_pt-timer').textContent = PT._fmt(Date.now() - PT._s.taskStart);
+        if (PT._s.taskStart && !PT._s.recallActive && !PT._el('_pt-back')) {
+          PT._el('_pt-timer').textContent = PT._fmt(Date.now() - PT._s.taskStart);
         }
       }, 1000);
     },
 
+    _collapse(on) {
+      PT._s.collapsed = on;
+      PT._el('_pt-bar').classList.toggle('_pt-collapsed', on);
+      PT._el(on ? '_pt-pill' : '_pt-collapse-btn').focus();
+      PT._save();
+    },
+
+    _expand(on) {
+      PT._el('_pt-bar').classList.toggle('_pt-expanded', on);
+      PT._el('_pt-info').setAttribute('aria-expanded', String(on));
+    },
+
+    /** Task label in the bar and in the collapsed pill */
+    _badge(html) {
+      PT._el('_pt-badge').innerHTML = html;
+      PT._el('_pt-pill').innerHTML  = html;
+    },
+
     // ─── Modal helpers ───────────────────────────────────────────────────────
 
+    /** Opens a modal dialog; focus moves into it and is kept there until _closeModal() */
     _modal(html, cb) {
-      PT._closeModal();
+      const open = PT._el('_pt-back');
+      if (open) open.remove();
+      else PT._s.lastFocus = document.activeElement;   // restored when the dialog closes
+
       const back = document.createElement('div');
       back.id = '_pt-back';
-      back.innerHTML = `<div id="_pt-modal">${html}</div>`;
-      document.body.appendChild(back);
+      back.innerHTML = `<div id="_pt-modal" role="dialog" aria-modal="true" tabindex="-1">${html}</div>`;
+      const modal = back.firstChild;
+      const title = modal.querySelector('h2, ._pt-recall-question');
+      if (title) {
+        title.id = '_pt-modal-title';
+        modal.setAttribute('aria-labelledby', title.id);
+      }
+      back.addEventListener('keydown', e => PT._trapFocus(e, modal));
+      PT._s.root.appendChild(PT._localize(back));
       if (cb) cb();
+
+      // First control, else the dialog itself (so it is still read out)
+      (PT._focusables(modal)[0] || modal).focus();
     },
 
     _closeModal() {
-      const el = document.getElementById('_pt-back');
-      if (el) el.remove();
+      const el = PT._el('_pt-back');
+      if (!el) return;
+      el.remove();
+      const prev = PT._s.lastFocus;
+      PT._s.lastFocus = null;
+      if (prev && prev.focus && document.contains(prev) && !PT._isOverlay(prev)) prev.focus();
+    },
+
+    _focusables(root) {
+      return Array.from(root.querySelectorAll('button, input, textarea, select, a[href], [tabindex]'))
+        .filter(el => !el.disabled && el.tabIndex >= 0);
+    },
+
+    /** Keeps Tab / Shift+Tab cycling inside the dialog */
+    _trapFocus(e, modal) {
+      if (e.key !== 'Tab') return;
+      const list  = PT._focusables(modal);
+      const first = list[0];
+      const last  = list[list.length - 1];
+      const at    = PT._s.root.activeElement;
+      if (!list.length) e.preventDefault();
+      else if (e.shiftKey && (at === first || at === modal)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && at === last) { e.preventDefault(); first.focus(); }
+    },
+
+    /** Reads `html` out through the live region */
+    _announce(html) {
+      const el = PT._el('_pt-live');
+      if (!el) return;
+      // Cleared first so the same message twice is still announced
+      el.textContent = '';
+      setTimeout(() => { el.innerHTML = html; }, 50);
     },
 
     _starsHTML(id) {
       return [1,2,3,4,5].map(n =>
-        `<span class="_pt-star" data-id="${id}" data-v="${n}">★</span>`
+        `<button type="button" class="_pt-star" role="radio" aria-checked="false" aria-label="${PT._esc(PT._t('starLabel', { n }))}" data-id="${id}" data-v="${n}">★</button>`
       ).join('');
     },
 
     _bindStars(groupId, cb) {
-      let rating = 0;
-      document.querySelectorAll(`[data-id="${groupId}"]`).forEach(star => {
-        star.onclick = () => {
-          rating = +star.dataset.v;
-          cb(rating);
-          document.querySelectorAll(`[data-id="${groupId}"]`).forEach(s =>
-            s.classList.toggle('on', +s.dataset.v <= rating)
-          );
+      const stars = PT._s.root.querySelectorAll(`[data-id="${groupId}"]`);
+      PT._radioGroup(stars, star => {
+        const rating = +star.dataset.v;
+        cb(rating);
+        stars.forEach(s => s.classList.toggle('on', +s.dataset.v <= rating));
+      });
+    },
+
+    /** Radio-group behaviour: one tab stop, arrow keys / Home / End move the choice */
+    _radioGroup(items, onSelect) {
+      items = Array.from(items);
+      const select = (item, focus) => {
+        items.forEach(el => {
+          el.setAttribute('aria-checked', String(el === item));
+          el.tabIndex = el === item ? 0 : -1;
+        });
+        if (focus) item.focus();
+        onSelect(item);
+      };
+      items.forEach((el, i) => {
+        el.tabIndex = i === 0 ? 0 : -1;
+        el.onclick  = () => select(el);
+        el.onkeydown = e => {
+          const back = PT._dir() === 'rtl' ? 1 : -1;   // ArrowLeft moves forward right-to-left
+          const step = { ArrowDown: 1, ArrowUp: -1, ArrowLeft: back, ArrowRight: -back }[e.key];
+          const next = step ? items[(i + step + items.length) % items.length]
+            : e.key === 'Home' ? items[0]
+            : e.key === 'End'  ? items[items.length - 1] : null;
+          if (!next) return;
+          e.preventDefault();
+          select(next, true);
         };
       });
     },
 
+    // ─── Variants ─────────────────────────────────────────────────────────────
+    // `variants` lets one study link split testers across flows. Each variant
+    // has a `name`, an optional `weight` (default 1) and either an entry `url`
+    // the tester is sent to or its own `tasks`. A new tester is assigned at
+    // random by weight, or with variantAssignment 'balanced' to the variant
+    // with the fewest sessions in Supabase relative to its weight. The choice
+    // is kept in localStorage, so the browser stays in its variant;
+    // ?pt_variant=<name> forces one.
+
+    _assignVariant() {
+      const list  = PT._cfg.variants;
+      const key   = `pt_variant:${PT._cfg.projectName}`;
+      const named = n => list.find(v => v.name === n);
+      let sticky  = null;
+      try { sticky = localStorage.getItem(key); } catch (e) { /* not available */ }
+
+      const forced = named(new URLSearchParams(location.search).get('pt_variant')) || named(sticky);
+      const pick   = forced ? Promise.resolve(forced)
+        : (PT._cfg.variantAssignment === 'balanced' ? PT._variantCounts() : Promise.resolve(null))
+            .catch(e => { console.warn('[PrototypeTester] Variant counts unavailable:', e); return null; })
+            .then(counts => counts ? PT._leastFilled(list, counts) : PT._weighted(list));
+      return pick.then(v => {
+        try { localStorage.setItem(key, v.name); } catch (e) { /* not available */ }
+        return v;
+      });
+    },
+
+    /**
+     * Sessions per variant so far; null without Supabase. One count-only HEAD
+     * request per variant, so no rows are downloaded and PostgREST's row cap
+     * doesn't apply.
+     */
+    _variantCounts() {
+      if (!PT._cfg.supabaseUrl || !PT._cfg.supabaseAnonKey) return Promise.resolve(null);
+      const project = encodeURIComponent(PT._cfg.projectName);
+      const count = name => fetch(`${PT._cfg.supabaseUrl}/rest/v1/test_sessions?select=id&project_name=eq.${project}&variant=eq.${encodeURIComponent(name)}`, {
+        method:  'HEAD',
+        headers: {
+          'apikey':        PT._cfg.supabaseAnonKey,
+          'Authorization': `Bearer ${PT._cfg.supabaseAnonKey}`,
+          'Prefer':        'count=exact',
+        },
+      }).then(res => {
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        const n = +(res.headers.get('content-range') || '').split('/')[1];
+        if (!Number.isInteger(n)) throw new Error('No count in the response');
+        return n;
+      });
+      const names = PT._cfg.variants.map(v => v.name);
+      return Promise.all(names.map(count))
+        .then(ns => names.reduce((c, name, i) => { c[name] = ns[i]; return c; }, {}));
+    },
+
+    _weighted(list) {
+      const weight = v => (v.weight != null ? v.weight : 1);
+      let r = Math.random() * list.reduce((sum, v) => sum + weight(v), 0);
+      return list.find(v => (r -= weight(v)) < 0) || list[list.length - 1];
+    },
+
+    _leastFilled(list, counts) {
+      const fill = v => (counts[v.name] || 0) / (v.weight != null ? v.weight : 1);
+      const min  = Math.min(...list.map(fill));
+      const ties = list.filter(v => fill(v) === min);
+      return ties[Math.floor(Math.random() * ties.length)];
+    },
+
+    /** Applies the variant; false when the tester is being sent to its entry page */
+    _useVariant(v) {
+      PT._s.variant = v.name;
+      if (v.tasks) PT._cfg.tasks = v.tasks;
+      if (!v.url) return true;
+      const target = new URL(v.url, location.href);
+      if (target.pathname === location.pathname) return true;
+      // Carry the assignment in the URL too, in case localStorage is unavailable
+      if (!target.search) target.search = location.search;
+      target.searchParams.set('pt_variant', v.name);
+      location.replace(target.href);
+      return false;
+    },
+
+    // ─── Task order ───────────────────────────────────────────────────────────
+    // `taskOrder` decides the sequence each session sees. It is fixed when the
+    // session starts and saved with it; currentTask is a position in it.
+    //   'fixed'    config order
+    //   'shuffle'  random order; tasks with `pinned: true` keep their place
+    //   'grouped'  tasks shuffle only among tasks with the same `group`
+    //   'latin'    balanced Latin square over the unpinned tasks, one row per
+    //              session counted by `counter`, Supabase or this browser
+    // Shuffles use a seeded PRNG. The seed is sent with the results, and
+    // `taskOrder: { mode, seed }` reproduces that session's order.
+
+    _orderCfg() {
+      const o = PT._cfg.taskOrder;
+      return Object.assign({ mode: 'fixed' }, typeof o === 'string' ? { mode: o } : o);
+    },
+
+    _tasks() { return PT._s.order.map(i => PT._cfg.tasks[i]); },
+    _task()  { return PT._tasks()[PT._s.currentTask]; },
+
+    _makeOrder() {
+      const { mode, seed } = PT._orderCfg();
+      const tasks = PT._cfg.tasks;
+      const order = tasks.map((t, i) => i);
+      const free  = order.filter(i => !tasks[i].pinned);   // positions allowed to change
+      const place = (slots, items) => slots.forEach((pos, k) => { order[pos] = items[k]; });
+
+      PT._s.orderSeed = seed != null ? seed : Math.floor(Math.random() * 2 ** 32);
+      PT._s.orderRow  = null;
+      const rand = PT._rng(PT._s.orderSeed);
+      if (mode === 'shuffle') place(free, PT._shuffle(free, rand));
+      if (mode === 'grouped') {
+        const groups = {};
+        free.forEach(i => {
+          const g = tasks[i].group;
+          if (g != null) (groups[g] = groups[g] || []).push(i);
+        });
+        Object.values(groups).forEach(g => place(g, PT._shuffle(g, rand)));
+      }
+      if (mode === 'latin') {
+        PT._s.orderRow = PT._s.counter != null ? PT._s.counter : PT._localCounter();
+        place(free, PT._latinRow(free.length, PT._s.orderRow).map(k => free[k]));
+      }
+      return order;
+    },
+
+    /** mulberry32, seeded from a number or a string */
+    _rng(seed) {
+      let a = typeof seed === 'number' ? seed >>> 0
+        : [...String(seed)].reduce((h, ch) => Math.imul(h ^ ch.charCodeAt(0), 16777619) >>> 0, 2166136261);
+      return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    },
+
+    _shuffle(list, rand) {
+      const out = list.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    },
+
+    /** Row r of a Williams design: each task precedes every other equally often (2n rows for odd n) */
+    _latinRow(n, r) {
+      const base = [];
+      for (let i = 0, lo = 1, hi = n - 1; i < n; i++) base.push(i === 0 ? 0 : i % 2 ? lo++ : hi--);
+      const row = base.map(v => (v + r) % n);
+      return n % 2 && Math.floor(r / n) % 2 ? row.reverse() : row;
+    },
+
+    /** Fetches the Latin-square session counter while the welcome screen is up */
+    _loadCounter() {
+      const { counter } = PT._orderCfg();
+      let n;
+      if (typeof counter === 'function') {
+        try { n = counter(); } catch (e) { console.warn('[PrototypeTester] Session counter failed:', e); }
+      }
+      else if (counter != null) n = counter;
+      else if (PT._cfg.supabaseUrl && PT._cfg.supabaseAnonKey) {
+        // Rows already written for this study (and variant); with trackProgress that includes unfinished sessions
+        const variant = PT._s.variant ? `&variant=eq.${encodeURIComponent(PT._s.variant)}` : '';
+        n = fetch(`${PT._cfg.supabaseUrl}/rest/v1/test_sessions?select=id&project_name=eq.${encodeURIComponent(PT._cfg.projectName)}${variant}`, {
+          method:  'HEAD',
+          headers: {
+            'apikey':        PT._cfg.supabaseAnonKey,
+            'Authorization': `Bearer ${PT._cfg.supabaseAnonKey}`,
+            'Prefer':        'count=exact',
+          },
+        }).then(res => +(res.headers.get('content-range') || '').split('/')[1]);
+      }
+      const set = v => { if (Number.isInteger(v) && v >= 0) PT._s.counter = v; };
+      if (n && typeof n.then === 'function') {
+        n.then(set).catch(e => console.warn('[PrototypeTester] Session counter unavailable:', e));
+      } else set(n);
+    },
+
+    /** Fallback counter: sessions started in this browser */
+    _localCounter() {
+      const key = `pt_counter:${PT._cfg.projectName}`;
+      try {
+        const n = +localStorage.getItem(key) || 0;
+        localStorage.setItem(key, n + 1);
+        return n;
+      } catch (e) { return 0; }
+    },
+
     // ─── Screens ─────────────────────────────────────────────────────────────
 
     _showWelcome() {
-      document.getElementById('_pt-bar').style.display = 'none';
-
-      const infoFields = PT._cfg.collectTesterInfo ? `
-        <label>Your name</label>
-        <input id="_pt-wname" type="text" placeholder="Jane Smith" autocomplete="name" />
-        <label>Email <span style="font-weight:400;color:#9ca3af">(optional)</span></label>
-        <input id="_pt-wemail" type="email" placeholder="jane@example.com" autocomplete="email" />
+      if (PT._cfg.consent && !PT._s.consentedAt) return PT._showConsent(PT._showWelcome);
+      PT._el('_pt-bar').style.display = 'none';
+
+      const collect    = PT._cfg.collectTesterInfo && !PT._cfg.anonymous;
+      const infoFields = collect ? `
+        <label for="_pt-wname">${PT._t('nameLabel')}</label>
+        <input id="_pt-wname" type="text" placeholder="${PT._esc(PT._t('namePlaceholder'))}" autocomplete="name" />
+        <label for="_pt-wemail">${PT._t('emailLabel')} <span class="_pt-optional">${PT._t('optional')}</span></label>
+        <input id="_pt-wemail" type="email" placeholder="${PT._esc(PT._t('emailPlaceholder'))}" autocomplete="email" />
       ` : '';
 
       PT._modal(`
-        <span class="_pt-chip _pt-chip-purple">User Test</span>
+        <span class="_pt-chip _pt-chip-purple">${PT._t('welcomeChip')}</span>
         <h2>${PT._esc(PT._cfg.projectName)}</h2>
-        <p>You'll be given tasks to complete using this prototype. Work as naturally as you can — there are no right or wrong answers. We're testing the design, not you.</p>
+        <p>${PT._t('welcomeIntro')}</p>
         ${infoFields}
         <div class="_pt-actions">
-          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-start-btn">Start testing →</button>
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-start-btn">${PT._t('startTesting')}</button>
         </div>
       `, () => {
-        document.getElementById('_pt-start-btn').onclick = () => {
-          if (PT._cfg.collectTesterInfo) {
-            PT._s.testerName  = (document.getElementById('_pt-wname').value || '').trim();
-            PT._s.testerEmail = (document.getElementById('_pt-wemail').value || '').trim();
-          }
-          PT._closeModal();
-          document.getElementById('_pt-bar').style.display = '';
-          PT._startTask(0);
+        PT._el('_pt-start-btn').onclick = () => {
+          PT._begin(
+            collect ? (PT._el('_pt-wname').value || '').trim() : '',
+            collect ? (PT._el('_pt-wemail').value || '').trim() : '',
+          );
         };
       });
     },
 
-    _startTask(index) {
-      const task  = PT._cfg.tasks[index];
+    _begin(name, email) {
+      if (PT._cfg.anonymous) name = email = '';
+      PT._s.testerName  = name;
+      PT._s.testerEmail = email;
+      PT._s.order       = PT._makeOrder();
+      if (PT._cfg.deviceProfile) PT._s.device = PT._deviceProfile();
+      PT._closeModal();
+      PT._el('_pt-bar').style.display = '';
+      PT._startTask(0);
+      PT._progress();
+      PT._emit('sessionStart', { sessionId: PT._s.sessionId, testerName: name, testerEmail: email });
+    },
+
+    /** `resume` = restoring a saved session: keep the running timer and clicks */
+    _startTask(index, resume) {
+      const task  = PT._tasks()[index];
       const total = PT._cfg.tasks.length;
 
       PT._s.currentTask = index;
-      PT._s.clicks      = [];
+      if (!resume) {
+        PT._s.clicks    = [];
+        PT._s.swipes    = [];
+        PT._s.pages     = [];
+        PT._s.path      = [];
+        PT._s.signals   = PT._newSignals();
+        PT._s.taskStart = null;
+        PT._s.taskEnd   = null;
+      }
       PT._s.hintOpen    = false;
       PT._s.skipState   = false;
-      PT._s.goalFired   = false;
-      PT._s.taskStart   = null;
+      PT._s.goalFired   = resume && PT._s.stage === 'goal';
       PT._s.recallActive = false;
       clearInterval(PT._s.recallIv);
       PT._s.recallIv = null;
 
       // Reset bar UI
-      document.getElementById('_pt-controls').style.display = '';
-      document.getElementById('_pt-skip-confirm').classList.remove('open');
-      document.getElementById('_pt-hint-row').classList.remove('open');
-      document.getElementById('_pt-hint-btn').classList.remove('active');
-      document.getElementById('_pt-badge').classList.remove('recall');
-      const timerEl = document.getElementById('_pt-timer');
+      PT._el('_pt-controls').style.display = '';
+      PT._el('_pt-skip-confirm').classList.remove('open');
+      PT._el('_pt-hint-row').classList.remove('open');
+      PT._el('_pt-hint-btn').classList.remove('active');
+      PT._el('_pt-hint-btn').setAttribute('aria-expanded', 'false');
+      PT._el('_pt-badge').classList.remove('recall');
+      PT._expand(false);
+      const timerEl = PT._el('_pt-timer');
       timerEl.textContent = '';
       timerEl.className = '';
 
       // Recall tasks have their own dedicated flow
       if (task.type === 'recall') {
-        PT._startRecallTask(index, task, total);
+        PT._startRecallTask(index, task, total, resume);
         return;
       }
 
       // Progress
-      document.getElementById('_pt-prog-fill').style.width = ((index / total) * 100) + '%';
+      PT._el('_pt-prog-fill').style.width = ((index / total) * 100) + '%';
 
       // Bar content
-      document.getElementById('_pt-badge').textContent     = `Task ${index + 1} of ${total}`;
-      document.getElementById('_pt-title').textContent     = task.title;
-      document.getElementById('_pt-desc').textContent      = task.description;
+      PT._badge(PT._t('taskOf', { n: index + 1, total }));
+      PT._el('_pt-title').textContent     = task.title;
+      PT._el('_pt-desc').textContent      = task.description;
 
       // Hint
       if (task.hint) {
-        document.getElementById('_pt-hint-btn').style.display = 'flex';
-        document.getElementById('_pt-hint-text').textContent  = task.hint;
+        PT._el('_pt-hint-btn').style.display = 'flex';
+        PT._el('_pt-hint-text').textContent  = task.hint;
       } else {
-        document.getElementById('_pt-hint-btn').style.display = 'none';
+        PT._el('_pt-hint-btn').style.display = 'none';
       }
 
-      // Show "Mark as done" only if no goal event (manual tasks)
-      const doneBtn = document.getElementById('_pt-done-btn');
-      if (task.goalEvent) {
+      // Show "Mark as done" only if no goal event / goal (manual tasks)
+      const firstClick = task.type === 'firstclick';
+      const doneBtn = PT._el('_pt-done-btn');
+      if (task.goalEvent || task.goal || firstClick) {
         doneBtn.classList.remove('visible');
       } else {
         doneBtn.classList.add('visible');
@@ -553,78 +1598,119 @@
 
       // Register goal listener
       PT._clearGoalListener();
-      if (task.goalEvent) {
+      if (task.goalEvent && !PT._s.goalFired) {
         const fn = () => { if (!PT._s.goalFired) PT._goalReached(); };
         document.addEventListener(task.goalEvent, fn, { once: true });
         PT._s.goalListener = { event: task.goalEvent, fn };
       }
+      if (task.goal && !PT._s.goalFired) PT._watchGoal(task.goal);
+      if (firstClick) PT._watchFirstClick(task);
+
+      // Resuming mid-task: pick up where the previous page left off
+      if (resume && PT._s.stage === 'goal') return PT._showSuccess();
+      if (resume && PT._s.stage === 'skip') return PT._doSkip();
+      if (resume && PT._s.taskStart) {
+        PT._save();
+        PT._recStart();
+        PT._checkGoal();   // the page just loaded may itself be the goal
+        return;
+      }
+
+      PT._s.stage = 'intro';
+      PT._save();
 
       // Task intro modal
       PT._modal(`
-        <span class="_pt-chip _pt-chip-blue">Task ${index + 1} of ${total}</span>
+        <span class="_pt-chip _pt-chip-blue">${PT._t(firstClick ? 'taskOfFirstClick' : 'taskOf', { n: index + 1, total })}</span>
         <h2>${PT._esc(task.title)}</h2>
         <p>${PT._esc(task.description)}</p>
-        ${task.hint ? `<p style="font-size:13px;color:#6b7280;border-left:3px solid #e5e7eb;padding-left:12px;margin-top:-10px;line-height:1.6">💡 ${PT._esc(task.hint)}</p>` : ''}
+        ${task.hint ? `<p class="_pt-note" style="border-inline-start:3px solid var(--pt-border);padding-inline-start:12px;margin-top:-10px;line-height:1.6">💡 ${PT._esc(task.hint)}</p>` : ''}
+        ${firstClick ? `<p class="_pt-note" style="margin-top:-8px">${PT._t('firstClickNote')}</p>` : ''}
         <div class="_pt-actions">
-          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-go-btn">Got it, let's go →</button>
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-go-btn">${PT._t('letsGo')}</button>
         </div>
       `, () => {
-        document.getElementById('_pt-go-btn').onclick = () => {
+        PT._el('_pt-go-btn').onclick = () => {
           PT._s.taskStart = Date.now();
+          PT._s.stage     = 'task';
+          PT._pathStep('url', null, true);
+          PT._s.signals.maxScroll = PT._scrollDepth();
+          PT._save();
           PT._closeModal();
+          PT._recStart();
+          PT._announce(`${PT._t('taskOf', { n: index + 1, total })}: ${PT._esc(task.title)}. ${PT._esc(task.description)}`);
+          PT._emit('taskStart', { index, task });
         };
       });
     },
 
     // ─── Recall task ─────────────────────────────────────────────────────────
 
-    _startRecallTask(index, task, total) {
+    _startRecallTask(index, task, total, resume) {
       const seconds = Math.round((task.lookDuration || 5000) / 1000);
 
       // Bar: show task but lock controls (no skip/done during countdown)
-      document.getElementById('_pt-badge').textContent = `Task ${index + 1} of ${total}`;
-      document.getElementById('_pt-badge').classList.add('recall');
-      document.getElementById('_pt-title').textContent = task.title;
-      document.getElementById('_pt-desc').textContent  = task.description;
-      document.getElementById('_pt-hint-btn').style.display = 'none';
-      document.getElementById('_pt-controls').style.display = 'none';
+      PT._badge(PT._t('taskOf', { n: index + 1, total }));
+      PT._el('_pt-badge').classList.add('recall');
+      PT._el('_pt-title').textContent = task.title;
+      PT._el('_pt-desc').textContent  = task.description;
+      PT._el('_pt-hint-btn').style.display = 'none';
+      PT._el('_pt-controls').style.display = 'none';
 
       // Progress bar
-      document.getElementById('_pt-prog-fill').style.width = ((index / total) * 100) + '%';
+      PT._el('_pt-prog-fill').style.width = ((index / total) * 100) + '%';
+
+      // Resuming: continue the countdown, or go straight to the question
+      if (resume && PT._s.taskStart) {
+        const left = Math.ceil(seconds - (Date.now() - PT._s.taskStart) / 1000);
+        if (left > 0) { PT._recStart(); PT._runRecallCountdown(left); }
+        else          PT._showRecallQuestion();
+        return;
+      }
+
+      PT._s.stage = 'intro';
+      PT._save();
 
       PT._modal(`
-        <span class="_pt-chip _pt-chip-blue">Task ${index + 1} of ${total} — Quick recall</span>
+        <span class="_pt-chip _pt-chip-blue">${PT._t('taskOfRecall', { n: index + 1, total })}</span>
         <h2>${PT._esc(task.title)}</h2>
-        <p>You'll have <strong>${seconds} seconds</strong> to look at the page, then we'll ask you one question. Just glance naturally — no tricks.</p>
-        <p style="font-size:14px;background:#fffbeb;border-left:3px solid #f59e0b;padding:10px 14px;border-radius:0 8px 8px 0;margin-top:-8px;color:#111">
-          💬 <strong>The question you'll answer:</strong><br/>${PT._esc(task.question)}
+        <p>${PT._t('recallIntro', { seconds })}</p>
+        <p class="_pt-recall-callout">
+          💬 <strong>${PT._t('recallQuestion')}</strong><br/>${PT._esc(task.question)}
         </p>
         <div class="_pt-actions">
-          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-recall-go">Start ${seconds}s timer →</button>
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-recall-go">${PT._t('recallStart', { seconds })}</button>
         </div>
       `, () => {
-        document.getElementById('_pt-recall-go').onclick = () => {
+        PT._el('_pt-recall-go').onclick = () => {
           PT._s.taskStart = Date.now();
+          PT._s.stage     = 'task';
+          PT._s.signals.maxScroll = PT._scrollDepth();
+          PT._save();
           PT._closeModal();
+          PT._recStart();
           PT._runRecallCountdown(seconds);
+          PT._emit('taskStart', { index, task });
         };
       });
     },
 
     _runRecallCountdown(seconds) {
       let remaining = seconds;
-      const timerEl = document.getElementById('_pt-timer');
-      const descEl  = document.getElementById('_pt-desc');
+      const timerEl = PT._el('_pt-timer');
+      const descEl  = PT._el('_pt-desc');
 
       PT._s.recallActive = true;
       timerEl.className  = 'recall-tick';
       timerEl.textContent = `${remaining}s`;
-      descEl.innerHTML   = 'Look now — find the answer! <span class="_pt-recall-look">⏱ counting down</span>';
+      descEl.innerHTML   = `${PT._t('recallLook')} <span class="_pt-recall-look">${PT._t('recallCounting')}</span>`;
+      PT._announce(`${PT._t('recallLook')} ${PT._t('recallLeft', { seconds: remaining })}`);
 
       PT._s.recallIv = setInterval(() => {
         remaining--;
         timerEl.textContent = `${remaining}s`;
         if (remaining <= 2) timerEl.classList.add('urgent');
+        if (remaining > 0 && remaining <= 3) PT._announce(PT._t('recallLeft', { seconds: remaining }));
         if (remaining <= 0) {
           clearInterval(PT._s.recallIv);
           PT._s.recallIv     = null;
@@ -637,43 +1723,40 @@
     },
 
     _showRecallQuestion() {
-      const task    = PT._cfg.tasks[PT._s.currentTask];
+      const task    = PT._task();
       const elapsed = Date.now() - PT._s.taskStart;
+      PT._recStop();   // the look window is over
 
       const answerHTML = Array.isArray(task.options)
-        ? `<div class="_pt-recall-opts">${
+        ? `<div class="_pt-recall-opts" role="radiogroup" aria-labelledby="_pt-modal-title">${
             task.options.map((opt, i) =>
-              `<button class="_pt-recall-opt" data-opt="${PT._esc(opt)}" id="_pt-opt-${i}">${PT._esc(opt)}</button>`
+              `<button type="button" class="_pt-recall-opt" role="radio" aria-checked="false" data-opt="${PT._esc(opt)}" id="_pt-opt-${i}">${PT._esc(opt)}</button>`
             ).join('')
           }</div>`
-        : `<input id="_pt-recall-ans" type="text" placeholder="Type your answer…" style="margin-bottom:16px" />`;
+        : `<input id="_pt-recall-ans" type="text" placeholder="${PT._esc(PT._t('answerPlaceholder'))}" aria-labelledby="_pt-modal-title" style="margin-bottom:16px" />`;
 
       PT._modal(`
-        <span class="_pt-chip _pt-chip-blue">Quick question</span>
+        <span class="_pt-chip _pt-chip-blue">${PT._t('quickQuestion')}</span>
         <p class="_pt-recall-question">${PT._esc(task.question)}</p>
         ${answerHTML}
         <div class="_pt-actions">
-          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-recall-submit">Submit answer →</button>
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-recall-submit">${PT._t('submitAnswer')}</button>
         </div>
       `, () => {
         let chosen = '';
 
         if (Array.isArray(task.options)) {
-          document.querySelectorAll('._pt-recall-opt').forEach(btn => {
-            btn.onclick = () => {
-              chosen = btn.dataset.opt;
-              document.querySelectorAll('._pt-recall-opt').forEach(b => b.classList.remove('chosen'));
-              btn.classList.add('chosen');
-            };
+          const opts = PT._s.root.querySelectorAll('._pt-recall-opt');
+          PT._radioGroup(opts, btn => {
+            chosen = btn.dataset.opt;
+            opts.forEach(b => b.classList.toggle('chosen', b === btn));
           });
-        } else {
-          setTimeout(() => document.getElementById('_pt-recall-ans')?.focus(), 60);
         }
 
-        document.getElementById('_pt-recall-submit').onclick = () => {
+        PT._el('_pt-recall-submit').onclick = () => {
           const answer = Array.isArray(task.options)
             ? chosen
-            : (document.getElementById('_pt-recall-ans').value.trim());
+            : (PT._el('_pt-recall-ans').value.trim());
           PT._finishRecall(task, elapsed, answer);
         };
       });
@@ -685,10 +1768,7 @@
         ? answer.toLowerCase() === String(task.correctAnswer).toLowerCase()
         : null;
 
-      PT._s.taskResults.push({
-        taskId:        task.id || `task_${PT._s.currentTask + 1}`,
-        taskTitle:     task.title,
-        taskType:      'recall',
+      PT._pushResult(task, {
         completed:     true,
         durationMs:    elapsed,
         durationFmt:   PT._fmt(elapsed),
@@ -696,12 +1776,13 @@
         comment:       '',
         recallAnswer:  answer,
         recallCorrect: correct,
-        clicks:        PT._s.clicks.slice(),
       });
+      PT._s.stage = 'recorded';
+      PT._save();
 
       // Restore bar for next task
-      document.getElementById('_pt-controls').style.display = '';
-      document.getElementById('_pt-badge').classList.remove('recall');
+      PT._el('_pt-controls').style.display = '';
+      PT._el('_pt-badge').classList.remove('recall');
 
       if (hasKey) {
         // Show brief feedback
@@ -715,16 +1796,16 @@
               : `<div style="font-size:52px;line-height:1">💡</div>`
             }
           </div>
-          <span class="_pt-chip ${correct ? '_pt-chip-green' : '_pt-chip-gray'}">${correct ? 'Correct!' : 'Good effort!'}</span>
-          <h2 style="font-size:19px">${correct ? 'Spot on!' : `The answer was: ${PT._esc(String(task.correctAnswer))}`}</h2>
-          <p style="color:#6b7280;font-size:14px">Your answer: <em>"${PT._esc(answer || '(blank)')}"</em></p>
+          <span class="_pt-chip ${correct ? '_pt-chip-green' : '_pt-chip-gray'}">${PT._t(correct ? 'recallCorrect' : 'recallWrong')}</span>
+          <h2 style="font-size:19px">${correct ? PT._t('recallSpotOn') : PT._t('recallAnswerWas', { answer: String(task.correctAnswer) })}</h2>
+          <p class="_pt-note" style="font-size:14px">${PT._t('recallYours', { answer: answer || PT._t('recallBlank') })}</p>
           <div class="_pt-actions">
             <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-recall-next">
-              ${PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'Next task →' : 'Finish & give feedback →'}
+              ${PT._t(PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'nextTask' : 'finishTasks')}
             </button>
           </div>
         `, () => {
-          document.getElementById('_pt-recall-next').onclick = () => {
+          PT._el('_pt-recall-next').onclick = () => {
             PT._closeModal();
             PT._advance();
           };
@@ -735,74 +1816,145 @@
       }
     },
 
+    // ─── First-click task ────────────────────────────────────────────────────
+
+    _watchFirstClick(task) {
+      const fn = e => {
+        if (PT._isOverlay(e.target) || !PT._s.taskStart) return;
+        // The click answers the task; don't let it act on the prototype
+        e.preventDefault();
+        e.stopPropagation();
+        PT._finishFirstClick(task, e);
+      };
+      document.addEventListener('click', fn, true);
+      PT._s.firstClickFn = fn;
+    },
+
+    /** true / false against the task's targets, or null if none are defined */
+    _firstClickHit(task, e) {
+      const sels  = [].concat(task.targetSelector || []);
+      const rects = [].concat(task.targetRect || []);
+      if (!sels.length && !rects.length) return null;
+      const px = e.clientX + window.scrollX;
+      const py = e.clientY + window.scrollY;
+      return sels.some(sel => e.target.closest(sel)) ||
+        rects.some(r => px >= r.x && px <= r.x + r.width && py >= r.y && py <= r.y + r.height);
+    },
+
+    _finishFirstClick(task, e) {
+      const elapsed = Date.now() - PT._s.taskStart;
+      const hit     = PT._firstClickHit(task, e);
+      const t       = e.target;
+      PT._clearGoalListener();
+
+      PT._pushResult(task, {
+        completed:     hit !== false,
+        durationMs:    elapsed,   // = time to first click
+        durationFmt:   PT._fmt(elapsed),
+        easeRating:    null,
+        comment:       '',
+        firstClick: {
+          x:         Math.round(e.clientX),
+          y:         Math.round(e.clientY),
+          pageX:     Math.round(e.clientX + window.scrollX),
+          pageY:     Math.round(e.clientY + window.scrollY),
+          viewportW: window.innerWidth,
+          viewportH: window.innerHeight,
+          tag:       t.tagName.toLowerCase(),
+          id:        t.id || null,
+          txt:       PT._clickText(t),
+        },
+        firstClickHit: hit,
+      });
+
+      PT._closeModal();
+      PT._advance();
+    },
+
     // ─── Goal reached (auto or manual) ───────────────────────────────────────
 
     _goalReached() {
       PT._s.goalFired = true;
+      PT._s.taskEnd   = Date.now();
+      PT._s.stage     = 'goal';
       PT._clearGoalListener();
+      PT._save();
+      PT._announce(PT._t('goalChip'));
+      PT._emit('goalReached', {
+        index:      PT._s.currentTask,
+        task:       PT._task(),
+        durationMs: PT._s.taskEnd - PT._s.taskStart,
+      });
 
-      const elapsed = Date.now() - (PT._s.taskStart || Date.now());
-      const task    = PT._cfg.tasks[PT._s.currentTask];
+      // Small delay so the prototype action visually completes first
+      PT._s.goalTimer = setTimeout(() => PT._showSuccess(), 300);
+    },
+
+    _showSuccess() {
+      const elapsed = PT._s.taskEnd - (PT._s.taskStart || PT._s.taskEnd);
+      const task    = PT._task();
       let   rating  = 0;
 
-      // Small delay so the prototype action visually completes first
-      setTimeout(() => {
-        PT._modal(`
-          <div class="_pt-success-wrap">
-            <svg class="_pt-check-svg" viewBox="0 0 52 52" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <circle class="_pt-circ" cx="26" cy="26" r="24.5"
-                stroke="#22c55e" stroke-width="2.5" stroke-linecap="round"/>
-              <path class="_pt-tick" d="M14 26.5l9 9 15-17"
-                stroke="#22c55e" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-          </div>
-          <span class="_pt-chip _pt-chip-green">Goal achieved! ✓</span>
-          <h2>${PT._esc(task.title)}</h2>
-          <p>Nice work! How easy was it to complete this task?</p>
-          <div class="_pt-stars" style="margin-bottom:6px">${PT._starsHTML('ease')}</div>
-          <div class="_pt-star-sub"><span>Very difficult</span><span>Very easy</span></div>
-          <label>Any comments? <span style="font-weight:400;color:#9ca3af">(optional)</span></label>
-          <textarea id="_pt-ease-comment" placeholder="What worked well? What was confusing?"></textarea>
-          <div class="_pt-actions">
-            <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-success-next">
-              ${PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'Next task →' : 'Finish & give feedback →'}
-            </button>
-          </div>
-        `, () => {
-          PT._bindStars('ease', v => { rating = v; });
-          document.getElementById('_pt-success-next').onclick = () => {
-            PT._record(task, true, elapsed, rating,
-              document.getElementById('_pt-ease-comment').value.trim());
-            PT._closeModal();
-            PT._advance();
-          };
-        });
-      }, 300);
+      PT._modal(`
+        <div class="_pt-success-wrap">
+          <svg class="_pt-check-svg" viewBox="0 0 52 52" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <circle class="_pt-circ" cx="26" cy="26" r="24.5"
+              stroke="#22c55e" stroke-width="2.5" stroke-linecap="round"/>
+            <path class="_pt-tick" d="M14 26.5l9 9 15-17"
+              stroke="#22c55e" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </div>
+        <span class="_pt-chip _pt-chip-green">${PT._t('goalChip')}</span>
+        <h2>${PT._esc(task.title)}</h2>
+        <p id="_pt-ease-q">${PT._t('easeQuestion')}</p>
+        <div class="_pt-stars" role="radiogroup" aria-labelledby="_pt-ease-q" style="margin-bottom:6px">${PT._starsHTML('ease')}</div>
+        <div class="_pt-star-sub" aria-hidden="true"><span>${PT._t('easeLow')}</span><span>${PT._t('easeHigh')}</span></div>
+        <label for="_pt-ease-comment">${PT._t('easeComment')} <span class="_pt-optional">${PT._t('optional')}</span></label>
+        <textarea id="_pt-ease-comment" placeholder="${PT._esc(PT._t('easePlaceholder'))}"></textarea>
+        <div class="_pt-actions">
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-success-next">
+            ${PT._t(PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'nextTask' : 'finishTasks')}
+          </button>
+        </div>
+      `, () => {
+        PT._bindStars('ease', v => { rating = v; });
+        PT._el('_pt-success-next').onclick = () => {
+          PT._record(task, true, elapsed, rating,
+            PT._el('_pt-ease-comment').value.trim());
+          PT._closeModal();
+          PT._advance();
+        };
+      });
     },
 
     // ─── Skip ────────────────────────────────────────────────────────────────
 
     _doSkip() {
-      const elapsed = Date.now() - (PT._s.taskStart || Date.now());
-      const task    = PT._cfg.tasks[PT._s.currentTask];
+      const resumed = PT._s.stage === 'skip';
+      if (!resumed) PT._s.taskEnd = Date.now();
+      const elapsed = PT._s.taskEnd - (PT._s.taskStart || PT._s.taskEnd);
+      const task    = PT._task();
+      PT._s.stage   = 'skip';
       PT._clearGoalListener();
+      PT._save();
+      if (!resumed) PT._emit('taskSkipped', { index: PT._s.currentTask, task });
 
       PT._modal(`
         <div class="_pt-skip-illo">⏭</div>
-        <span class="_pt-chip _pt-chip-gray">Task skipped</span>
+        <span class="_pt-chip _pt-chip-gray">${PT._t('skippedChip')}</span>
         <h2>${PT._esc(task.title)}</h2>
-        <p>No worries — skipping helps us understand where the design needs work. What made this task difficult?</p>
-        <label>Comments <span style="font-weight:400;color:#9ca3af">(optional)</span></label>
-        <textarea id="_pt-skip-comment" placeholder="What was unclear or hard to find?"></textarea>
+        <p>${PT._t('skippedIntro')}</p>
+        <label for="_pt-skip-comment">${PT._t('skippedComment')} <span class="_pt-optional">${PT._t('optional')}</span></label>
+        <textarea id="_pt-skip-comment" placeholder="${PT._esc(PT._t('skippedPlaceholder'))}"></textarea>
         <div class="_pt-actions">
           <button class="_pt-btn _pt-btn-ghost _pt-full" id="_pt-skip-next-btn">
-            ${PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'Next task →' : 'Finish & give feedback →'}
+            ${PT._t(PT._s.currentTask + 1 < PT._cfg.tasks.length ? 'nextTask' : 'finishTasks')}
           </button>
         </div>
       `, () => {
-        document.getElementById('_pt-skip-next-btn').onclick = () => {
+        PT._el('_pt-skip-next-btn').onclick = () => {
           PT._record(task, false, elapsed, 0,
-            document.getElementById('_pt-skip-comment').value.trim());
+            PT._el('_pt-skip-comment').value.trim(), { skipped: true });
           PT._closeModal();
           PT._advance();
         };
@@ -812,27 +1964,30 @@
     // ─── Final feedback ───────────────────────────────────────────────────────
 
     _showFinal() {
-      document.getElementById('_pt-prog-fill').style.width = '100%';
-      document.getElementById('_pt-bar').style.display = 'none';
+      PT._el('_pt-prog-fill').style.width = '100%';
+      PT._el('_pt-bar').style.display = 'none';
+      PT._s.stage = 'final';
+      PT._recStop();
+      PT._save();
       let overall = 0;
 
       PT._modal(`
-        <span class="_pt-chip _pt-chip-purple">Almost done 🎉</span>
-        <h2>One last thing</h2>
-        <p>Overall, how would you rate your experience with this prototype?</p>
-        <div class="_pt-stars" style="margin-bottom:6px">${PT._starsHTML('overall')}</div>
-        <div class="_pt-star-sub"><span>Very poor</span><span>Excellent</span></div>
-        <label>Final thoughts? <span style="font-weight:400;color:#9ca3af">(optional)</span></label>
-        <textarea id="_pt-final-comment" placeholder="Overall impressions, suggestions, anything you noticed…"></textarea>
+        <span class="_pt-chip _pt-chip-purple">${PT._t('finalChip')}</span>
+        <h2>${PT._t('finalTitle')}</h2>
+        <p id="_pt-final-q">${PT._t('finalQuestion')}</p>
+        <div class="_pt-stars" role="radiogroup" aria-labelledby="_pt-final-q" style="margin-bottom:6px">${PT._starsHTML('overall')}</div>
+        <div class="_pt-star-sub" aria-hidden="true"><span>${PT._t('overallLow')}</span><span>${PT._t('overallHigh')}</span></div>
+        <label for="_pt-final-comment">${PT._t('finalComment')} <span class="_pt-optional">${PT._t('optional')}</span></label>
+        <textarea id="_pt-final-comment" placeholder="${PT._esc(PT._t('finalPlaceholder'))}"></textarea>
         <div class="_pt-actions">
-          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-submit-btn">Submit feedback</button>
+          <button class="_pt-btn _pt-btn-primary _pt-full" id="_pt-submit-btn">${PT._t('submitFeedback')}</button>
         </div>
       `, () => {
         PT._bindStars('overall', v => { overall = v; });
-        document.getElementById('_pt-submit-btn').onclick = () => {
+        PT._el('_pt-submit-btn').onclick = () => {
           PT._submit({
             overallRating:  overall,
-            overallComment: document.getElementById('_pt-final-comment').value.trim(),
+            overallComment: PT._el('_pt-final-comment').value.trim(),
           });
         };
       });
@@ -840,22 +1995,42 @@
 
     // ─── Record + advance ─────────────────────────────────────────────────────
 
-    _record(task, completed, elapsed, rating, comment) {
-      PT._s.taskResults.push({
-        taskId:      task.id || `task_${PT._s.currentTask + 1}`,
-        taskTitle:   task.title,
+    _record(task, completed, elapsed, rating, comment, extra = {}) {
+      PT._pushResult(task, Object.assign({
         completed,
         durationMs:  elapsed,
         durationFmt: PT._fmt(elapsed),
         easeRating:  rating,
         comment,
-        clicks:      PT._s.clicks.slice(),
-      });
+      }, extra, PT._pathResult(task, completed)));
+    },
+
+    _pushResult(task, fields) {
+      const result = PT._result(task, fields);
+      PT._s.taskResults.push(result);
+      PT._progress();
+      PT._emit('taskRecorded', { index: PT._s.currentTask, task, result });
+    },
+
+    /** Wraps type-specific result fields with the ones every task result shares */
+    _result(task, fields) {
+      return Object.assign({
+        taskId:    PT._taskId(task),
+        position:  PT._s.currentTask + 1,   // place in this session's task order
+        taskTitle: task.title,
+        taskType:  task.type || 'standard',
+      }, task.benchmarkMs ? { benchmarkMs: task.benchmarkMs } : {}, fields, {
+        signals:   PT._signalSummary(),
+        clicks:    PT._s.clicks.slice(),
+        pages:     PT._s.pages.slice(),
+      }, PT._s.swipes.length ? { swipes: PT._s.swipes.slice() } : {}, PT._cfg.recordSession ? { recorded: true } : {});
     },
 
     _advance() {
-      const next = PT._s.currentTask + 1;
-      if (next < PT._cfg.tasks.length) {
+      // Next task without a result — goToTask() may have revisited an earlier one
+      const done = new Set(PT._s.taskResults.map(r => r.taskId));
+      const next = PT._tasks().findIndex((t, i) => i > PT._s.currentTask && !done.has(PT._taskId(t)));
+      if (next !== -1) {
         PT._startTask(next);
       } else {
         PT._showFinal();
@@ -865,11 +2040,106 @@
     // ─── Submit ───────────────────────────────────────────────────────────────
 
     _submit(final) {
-      const payload = {
+      const payload = PT._payload('completed', final);
+      // Without Supabase (no URL or no key) _recFlush keeps the recordings, and they travel inside the session JSON.
+      // A task whose events didn't make it (too large to carry across pages) isn't marked as recorded
+      if (PT._cfg.recordSession && !(PT._cfg.supabaseUrl && PT._cfg.supabaseAnonKey)) {
+        payload.recordings = PT._s.recordings;
+        payload.tasks = payload.tasks.map(t => {
+          if (!t.recorded || (payload.recordings[t.taskId] || []).length) return t;
+          const copy = Object.assign({}, t);
+          delete copy.recorded;
+          return copy;
+        });
+      }
+      PT._emit('sessionSubmitted', { payload });
+
+      // HTTP transports go through the outbox, so nothing is lost if they fail
+      const list = PT._transports();
+      PT._s.submitted = {
+        payload,
+        ids:    list.filter(t => t.request).map(t =>
+          PT._outboxAdd(Object.assign({ label: t.name }, t.request(payload)))),
+        direct: list.filter(t => !t.request),
+      };
+      PT._clearSaved();   // _save() is a no-op from here on, so a reload can't submit again
+      PT._deliverAll();
+    },
+
+    /** Runs this page's submission through its transports and shows the outcome */
+    _deliverAll() {
+      const sub = PT._s.submitted;
+      // "Try again" gives parked requests one more go (the table may have been fixed meanwhile)
+      PT._outboxStore(PT._outboxLoad().map(e => sub.ids.includes(e.id) ? Object.assign(e, { final: false }) : e));
+      PT._showThanks(sub.payload, 'sending');
+      const direct = sub.direct.map(t => Promise.resolve()
+        .then(() => t.send(sub.payload))
+        .then(() => { sub.direct = sub.direct.filter(d => d !== t); return true; })
+        .catch(err => { console.warn(`[PrototypeTester] ${t.name} error:`, err); return false; }));
+      return Promise.all([PT._deliver(sub.ids)].concat(direct)).then(results => {
+        if (PT._s.submitted !== sub) return;   // destroyed meanwhile
+        PT._showThanks(sub.payload, results.every(Boolean) ? 'sent' : 'failed');
+      });
+    },
+
+    /** Thank-you screen; `status` is 'sending' | 'sent' | 'failed' */
+    _showThanks(payload, status) {
+      // Only outbox requests are kept for a later retry; failed custom transports aren't
+      const sub    = PT._s.submitted;
+      const queued = sub && PT._outboxLoad().some(e => sub.ids.includes(e.id) && !e.final);
+      const copy = {
+        sending: ['⏳', PT._t('sendingTitle'), PT._t('sendingText')],
+        sent:    ['🙏', PT._t('thanksTitle'), PT._t('sentText')],
+        failed:  ['📡', PT._t('thanksTitle'), PT._t(queued ? 'queuedText' : 'failedText')],
+      }[status];
+      PT._modal(`
+        <div class="_pt-ty">
+          <div class="_pt-ty-illo">${copy[0]}</div>
+          <h2>${copy[1]}</h2>
+          <p>${copy[2]}</p>
+          <p style="font-size:12px;color:#9ca3af;margin-top:-8px">
+            ${PT._t('thanksSummary', { completed: payload.completedTasks, total: payload.totalTasks, session: payload.sessionId })}
+          </p>
+          ${status === 'failed' ? `
+          <div class="_pt-actions">
+            <button class="_pt-btn _pt-btn-ghost" id="_pt-ty-download">${PT._t('downloadCopy')}</button>
+            <button class="_pt-btn _pt-btn-primary" id="_pt-ty-retry">${PT._t('tryAgain')}</button>
+          </div>` : ''}
+        </div>
+      `, () => {
+        if (status !== 'failed') return;
+        PT._el('_pt-ty-download').onclick = () => PT._download(payload);
+        PT._el('_pt-ty-retry').onclick = () => PT._deliverAll();
+      });
+    },
+
+    _download(payload) {
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+      const url  = URL.createObjectURL(blob);
+      Object.assign(document.createElement('a'), {
+        href: url, download: `pt-session-${payload.sessionId}.json`,
+      }).click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /** Session summary sent on submit and, without the final feedback, as progress */
+    _payload(status, final = {}) {
+      // The task the tester is on: the current one, or the next once it has a result
+      const done = new Set(PT._s.taskResults.map(r => r.taskId));
+      const n    = PT._tasks().findIndex((t, i) => i >= PT._s.currentTask && !done.has(PT._taskId(t)));
+      const task = status !== 'completed' && PT._tasks()[n];
+      return {
         sessionId:          PT._s.sessionId,
         projectName:        PT._cfg.projectName,
+        variant:            PT._s.variant,
+        locale:             PT._cfg.locale,
+        device:             PT._s.device,
+        status,
+        currentTask:        task ? PT._taskId(task) : null,
         testerName:         PT._s.testerName,
         testerEmail:        PT._s.testerEmail,
+        consentedAt:        PT._s.consentedAt,
+        retainUntil:        PT._retainUntil(),
         submittedAt:        new Date().toISOString(),
         sessionDurationMs:  Date.now() - PT._s.sessionStart,
         sessionDurationFmt: PT._fmt(Date.now() - PT._s.sessionStart),
@@ -877,94 +2147,1077 @@
         overallComment:     final.overallComment,
         completedTasks:     PT._s.taskResults.filter(t => t.completed).length,
         totalTasks:         PT._cfg.tasks.length,
+        taskOrder:          PT._tasks().map(PT._taskId),
+        orderMode:          PT._orderCfg().mode,
+        orderSeed:          PT._s.orderSeed,
+        orderRow:           PT._s.orderRow,
         tasks:              PT._s.taskResults,
       };
+    },
 
-      // ── Supabase ──────────────────────────────────────────────────────────
-      if (PT._cfg.supabaseUrl && PT._cfg.supabaseAnonKey) {
-        const row = {
-          session_id:           payload.sessionId,
-          project_name:         payload.projectName,
-          tester_name:          payload.testerName   || null,
-          tester_email:         payload.testerEmail  || null,
-          submitted_at:         payload.submittedAt,
-          session_duration_fmt: payload.sessionDurationFmt,
-          overall_rating:       payload.overallRating  || null,
-          overall_comment:      payload.overallComment || null,
-          completed_tasks:      payload.completedTasks,
-          total_tasks:          payload.totalTasks,
-          tasks:                payload.tasks,
-        };
-        fetch(`${PT._cfg.supabaseUrl}/rest/v1/test_sessions`, {
-          method:  'POST',
-          headers: {
-            'Content-Type':  'application/json',
-            'apikey':        PT._cfg.supabaseAnonKey,
-            'Authorization': `Bearer ${PT._cfg.supabaseAnonKey}`,
-            'Prefer':        'return=minimal',
-          },
-          body: JSON.stringify(row),
-        }).catch(e => console.warn('[PrototypeTester] Supabase error:', e));
+    /**
+     * Supabase insert — an upsert on session_id when progress rows are written.
+     * `fallback` is a plain insert of the original columns, sent instead when
+     * the table hasn't been upgraded (see SCHEMA_ERRORS). A completed row can't
+     * be updated under the anon policy, so once an earlier attempt may have
+     * reached the server, an RLS refusal (`sentIf`) means it did.
+     */
+    _sessionRequest(payload, opts = {}) {
+      const url = opts.url || PT._cfg.supabaseUrl;
+      const key = opts.key || PT._cfg.supabaseAnonKey;
+      const row = {
+        session_id:           payload.sessionId,
+        project_name:         payload.projectName,
+        tester_name:          payload.testerName   || null,
+        tester_email:         payload.testerEmail  || null,
+        submitted_at:         payload.submittedAt,
+        session_duration_fmt: payload.sessionDurationFmt,
+        overall_rating:       payload.overallRating  || null,
+        overall_comment:      payload.overallComment || null,
+        completed_tasks:      payload.completedTasks,
+        total_tasks:          payload.totalTasks,
+        tasks:                payload.tasks,
+      };
+      const cols = Object.keys(row);   // the columns of the original table
+      if (payload.variant) row.variant = payload.variant;
+      if (payload.locale && payload.locale !== 'en') row.locale = payload.locale;
+      if (payload.device) row.device = payload.device;
+      if (payload.consentedAt) row.consented_at = payload.consentedAt;
+      if (payload.retainUntil) row.retain_until = payload.retainUntil;
+      if (PT._cfg.trackProgress) Object.assign(row, { status: payload.status, current_task: payload.currentTask });
+      const insert = (fields, prefer, query = '') => ({
+        url:     `${url}/rest/v1/test_sessions${query}`,
+        headers: {
+          'Content-Type':  'application/json',
+          'apikey':        key,
+          'Authorization': `Bearer ${key}`,
+          'Prefer':        prefer,
+        },
+        body: JSON.stringify(fields),
+      });
+      const req = PT._cfg.trackProgress
+        ? insert(row, 'return=minimal,resolution=merge-duplicates', '?on_conflict=session_id')
+        : insert(row, 'return=minimal');
+      if (PT._cfg.trackProgress && payload.status === 'completed') req.sentIf = ['42501'];
+      if (Object.keys(row).length > cols.length) {
+        req.fallback = insert(cols.reduce((o, k) => { o[k] = row[k]; return o; }, {}), 'return=minimal');
       }
+      return req;
+    },
 
-      // ── Google Sheets webhook (legacy / alternative) ──────────────────────
-      if (PT._cfg.webhookUrl) {
-        fetch(PT._cfg.webhookUrl, {
-          method:  'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body:    JSON.stringify(payload),
-        }).catch(e => console.warn('[PrototypeTester] Webhook error:', e));
+    // ─── Transports ───────────────────────────────────────────────────────────
+    // A transport delivers the submitted payload somewhere. HTTP transports
+    // implement `request(payload)` returning { url, method, headers, body }; the
+    // request is queued in the outbox and retried until it succeeds. Any other
+    // transport implements `send(payload)` and resolves on success or throws /
+    // rejects on failure. Without a `transports` option the list is derived from
+    // supabaseUrl, webhookUrl and downloadResults as before.
+
+    _transports() {
+      const cfg  = PT._cfg;
+      let list   = cfg.transports;
+      if (!list) {
+        list = [];
+        if (cfg.supabaseUrl && cfg.supabaseAnonKey) list.push('supabase');
+        if (cfg.webhookUrl) list.push('webhook');
+        // JSON download: useful for local testing; off by default if Supabase is set
+        if (cfg.downloadResults === true || (cfg.downloadResults !== false && !cfg.supabaseUrl)) list.push('download');
       }
+      list = list.map(t => {
+        if (typeof t !== 'string') return Object.assign({ name: 'Custom' }, t);
+        if (PT.transports[t]) return PT.transports[t]();
+        console.warn(`[PrototypeTester] Unknown transport "${t}"`);
+        return null;
+      }).filter(Boolean);
+      if (cfg.onSubmit) list.push({ name: 'onSubmit', send: cfg.onSubmit });
+      return list;
+    },
 
-      // ── JSON download (useful for local testing; off by default if Supabase set) ──
-      const shouldDownload = PT._cfg.downloadResults === true ||
-        (PT._cfg.downloadResults !== false && !PT._cfg.supabaseUrl);
-      if (shouldDownload) {
-        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-        const url  = URL.createObjectURL(blob);
-        Object.assign(document.createElement('a'), {
-          href: url, download: `pt-session-${payload.sessionId}.json`,
-        }).click();
-        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    /** Built-in transports, for use in the `transports` option */
+    transports: {
+      /** Upserts the session row into `test_sessions` (defaults to supabaseUrl / supabaseAnonKey) */
+      supabase(opts = {}) {
+        return { name: 'Supabase', request: payload => PT._sessionRequest(payload, opts) };
+      },
+
+      /** Posts the raw payload, e.g. to a Google Sheets Apps Script (defaults to webhookUrl) */
+      webhook(url) {
+        return PT.transports.rest({ name: 'Webhook', url: url || PT._cfg.webhookUrl });
+      },
+
+      /** Any REST endpoint; `body(payload)` may reshape what is sent */
+      rest(opts) {
+        return {
+          name:    opts.name || 'REST',
+          request: payload => ({
+            url:     opts.url,
+            method:  opts.method || 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, opts.headers),
+            body:    JSON.stringify(opts.body ? opts.body(payload) : payload),
+          }),
+        };
+      },
+
+      /** Saves the payload as a JSON file on the tester's machine */
+      download() {
+        return { name: 'Download', send: payload => PT._download(payload) };
+      },
+
+      /** Keeps sessions in an IndexedDB object store in the tester's browser, keyed by sessionId */
+      indexedDB(opts = {}) {
+        const dbName = opts.dbName || 'prototype-tester';
+        const store  = opts.store  || 'sessions';
+        // Opens the database at its current version, and upgrades it when the store
+        // is missing (a database created earlier, or with another store name)
+        const openDb = version => new Promise((resolve, reject) => {
+          const open = indexedDB.open(dbName, version);
+          open.onupgradeneeded = () => {
+            if (!open.result.objectStoreNames.contains(store)) open.result.createObjectStore(store, { keyPath: 'sessionId' });
+          };
+          open.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+          open.onerror   = () => reject(open.error);
+          open.onsuccess = () => {
+            const db = open.result;
+            if (db.objectStoreNames.contains(store)) return resolve(db);
+            db.close();
+            openDb(db.version + 1).then(resolve, reject);
+          };
+        });
+        return {
+          name: 'IndexedDB',
+          send: payload => openDb().then(db => new Promise((resolve, reject) => {
+            try {
+              const tx = db.transaction(store, 'readwrite');
+              const os = tx.objectStore(store);
+              os.put(payload);
+              // Drop sessions saved earlier that are past their retainUntil
+              const now = new Date().toISOString();
+              os.openCursor().onsuccess = e => {
+                const cur = e.target.result;
+                if (!cur) return;
+                if (cur.value.retainUntil && cur.value.retainUntil < now) cur.delete();
+                cur.continue();
+              };
+              tx.oncomplete = () => { db.close(); resolve(); };
+              tx.onerror    = () => { db.close(); reject(tx.error); };
+              tx.onabort    = () => { db.close(); reject(tx.error); };
+            } catch (e) {
+              db.close();
+              reject(e);
+            }
+          })),
+        };
+      },
+    },
+
+    // ─── Progress ─────────────────────────────────────────────────────────────
+    // With `trackProgress` the session row is written when the tester starts,
+    // rewritten after every recorded task and marked 'abandoned' when the page
+    // is unloaded, so people who quit halfway still show up. Hiding the tab
+    // rewrites it as 'in_progress', for browsers that kill background tabs
+    // without a pagehide. Both writes use a keepalive fetch rather than sendBeacon, which can't carry the
+    // apikey headers Supabase needs. Submitting overwrites the row with status
+    // 'completed'. Writes can arrive out of order (the unload write of one page
+    // of a study after the next page's), so every row carries submitted_at and
+    // the table's keep-latest trigger (see README) drops older ones.
+
+    /** `hidden`: the tab went to the background, where mobile browsers may kill it without a pagehide */
+    _progress(unloading, hidden) {
+      if (!PT._cfg.trackProgress || !PT._cfg.supabaseUrl || !PT._cfg.supabaseAnonKey) return;
+      if (PT._s.submitted || !PT._s.stage) return;
+      if (!unloading && PT._s.stage === 'final') return;   // nothing left to report that could overtake the submit
+      const req  = PT._sessionRequest(PT._payload(unloading ? 'abandoned' : 'in_progress'));
+      fetch(req.url, {
+        method:    'POST',
+        keepalive: !!(unloading || hidden) && req.body.length < 60000,   // browsers cap keepalive bodies at 64 KB
+        headers:   req.headers,
+        body:      req.body,
+      }).catch(e => console.warn('[PrototypeTester] Progress error:', e));
+    },
+
+    /**
+     * Only a real unload marks the session abandoned; a hidden tab may still come
+     * back, so it just gets a fresh in_progress write the dashboard can age out
+     */
+    _trackLeave() {
+      PT._on(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && !PT._s.away) PT._progress(false, true);
+      });
+      PT._on(global, 'pagehide', () => {
+        if (PT._s.away) return;
+        PT._s.away = true;
+        PT._progress(true);
+      });
+      // Back to a page kept in the back/forward cache
+      PT._on(global, 'pageshow', e => {
+        if (!e.persisted || !PT._s.away) return;
+        PT._s.away = false;
+        PT._progress();
+      });
+    },
+
+    // ─── Outbox ───────────────────────────────────────────────────────────────
+    // Result requests are written to localStorage before they are sent and only
+    // removed once the server answers with a 2xx. Failed sends back off
+    // exponentially and are retried on the next page load on this origin and
+    // whenever the browser comes back online. If storage is unavailable the
+    // outbox lives in memory for the lifetime of the page.
+
+    _outboxLoad() {
+      if (PT._s.outboxMem) return PT._s.outbox;
+      try { return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]'); }
+      catch (e) { PT._s.outboxMem = true; return PT._s.outbox; }
+    },
+
+    _outboxStore(list) {
+      PT._s.outbox = list;
+      if (PT._s.outboxMem) return;
+      try {
+        if (list.length) localStorage.setItem(OUTBOX_KEY, JSON.stringify(list));
+        else localStorage.removeItem(OUTBOX_KEY);
+      } catch (e) {
+        console.warn('[PrototypeTester] Outbox not persisted (storage full or unavailable):', e);
+        PT._s.outboxMem = true;
       }
+    },
+
+    /** Queues an HTTP request and returns its outbox id */
+    _outboxAdd(req) {
+      const entry = Object.assign({ id: PT._uid(), attempts: 0, next: 0, created: Date.now() }, req);
+      PT._outboxStore(PT._outboxLoad().concat(entry));
+      return entry.id;
+    },
+
+    /**
+     * Sends one entry; resolves true once it has left the outbox. A 4xx other
+     * than 408 / 429 won't go away by retrying (a missing column, a policy), so
+     * the entry is parked as `final` instead of being retried. An entry with a
+     * `fallback` request switches to it once when the table turns out to be
+     * older than the request (SCHEMA_ERRORS). After an attempt with no answer
+     * (network error, 5xx) an error code in the entry's `sentIf` means that
+     * attempt went through, and the entry is done.
+     */
+    _outboxSend(entry) {
+      const sending = PT._s.sending;
+      if (sending[entry.id]) return sending[entry.id];
+      const done = fetch(entry.url, {
+        method:    entry.method || 'POST',
+        keepalive: !!entry.keepalive && entry.body.length < 60000,   // browsers cap keepalive bodies at 64 KB
+        headers:   entry.headers,
+        body:      entry.body,
+      })
+        .then(res => {
+          if (res.ok) return;
+          return res.text().catch(() => '').then(text => {
+            let code = null;
+            try { code = JSON.parse(text).code; } catch (e) { /* not a PostgREST error */ }
+            throw Object.assign(new Error(`${res.status} ${res.statusText}${text ? ` ${text.slice(0, 300)}` : ''}`), { status: res.status, code });
+          });
+        })
+        .then(() => {
+          PT._outboxStore(PT._outboxLoad().filter(e => e.id !== entry.id));
+          return true;
+        })
+        .catch(err => {
+          if (err.status === 400 && entry.fallback && SCHEMA_ERRORS.includes(err.code)) {
+            console.warn(`[PrototypeTester] ${entry.label}: the table lacks newer columns or constraints, saving without them. Run the upgrade SQL in the README.`, err);
+            const plain = Object.assign({}, entry, entry.fallback, { fallback: null });
+            PT._outboxStore(PT._outboxLoad().map(e => e.id !== entry.id ? e : plain));
+            delete sending[entry.id];
+            return PT._outboxSend(plain);
+          }
+          if (entry.unsure && entry.sentIf && entry.sentIf.includes(err.code)) {
+            PT._outboxStore(PT._outboxLoad().filter(e => e.id !== entry.id));
+            return true;
+          }
+          const final  = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+          const unsure = !err.status || err.status >= 500;
+          console.warn(`[PrototypeTester] ${entry.label} error (attempt ${entry.attempts + 1}${final ? ', not retried' : ''}):`, err);
+          PT._outboxStore(PT._outboxLoad().map(e => e.id !== entry.id ? e : Object.assign(e, {
+            attempts: e.attempts + 1,
+            next:     Date.now() + Math.min(OUTBOX_MAX_MS, OUTBOX_BASE_MS * 2 ** e.attempts),
+            error:    String(err.message || err),
+            final,
+            unsure:   e.unsure || unsure,
+          })));
+          return false;
+        })
+        .finally(() => { delete sending[entry.id]; });
+      sending[entry.id] = done;
+      return done;
+    },
+
+    /** Sends every entry that is due (or all of them with `force`) */
+    _outboxFlush(force) {
+      clearTimeout(PT._s.outboxTimer);
+      // Parked entries only stay while this page's thank-you screen can still retry them
+      const state = PT._s;
+      const sub = state.submitted;
+      const list = PT._outboxLoad();
+      const keep = list.filter(e => !e.final || (sub && sub.ids.includes(e.id)));
+      if (keep.length !== list.length) PT._outboxStore(keep);
+      const now = Date.now();
+      const due = keep.filter(e => !e.final && (force || e.next <= now));
+      return Promise.all(due.map(PT._outboxSend)).then(() => {
+        if (PT._s !== state) return;   // destroyed meanwhile
+        // Refresh a "couldn't send" thank-you screen once its requests got through
+        if (sub && PT._el('_pt-ty-retry') && !sub.direct.length &&
+            !PT._outboxLoad().some(e => sub.ids.includes(e.id))) PT._showThanks(sub.payload, 'sent');
+        PT._outboxSchedule();
+      });
+    },
+
+    _outboxSchedule() {
+      clearTimeout(PT._s.outboxTimer);
+      const list = PT._outboxLoad().filter(e => !e.final);
+      if (!list.length) return;
+      const wait = Math.max(0, Math.min(...list.map(e => e.next)) - Date.now());
+      PT._s.outboxTimer = setTimeout(() => PT._outboxFlush(), wait);
+    },
+
+    /** Tries the given entries right away with a few quick retries; resolves true when all were sent */
+    _deliver(ids) {
+      const state   = PT._s;
+      const left    = () => PT._outboxLoad().filter(e => ids.includes(e.id));
+      const pending = () => left().filter(e => !e.final);
+      const attempt = n => Promise.all(pending().map(PT._outboxSend)).then(() => {
+        if (!left().length) return true;
+        if (!pending().length || n + 1 >= OUTBOX_TRIES || PT._s !== state) return false;
+        return new Promise(r => setTimeout(r, OUTBOX_BASE_MS * 2 ** n)).then(() => attempt(n + 1));
+      });
+      // After destroy() the entries stay queued for the next init() instead of starting a timer
+      return attempt(0).finally(() => { if (PT._s === state) PT._outboxSchedule(); });
+    },
+
+    // ─── Privacy ──────────────────────────────────────────────────────────────
+    // `consent` puts a consent step in front of the welcome screen and start().
+    // Text inside [data-pt-mask] or a `maskSelectors` match is replaced with
+    // bullets wherever the page's text is captured: click text, first clicks
+    // and recordings. Values typed into form fields are always masked.
+    // `anonymous` drops the name / email fields and the user agent, and
+    // `retentionDays` stamps the results with the date they should be deleted.
+
+    /** Consent step; `next` runs once the tester agrees */
+    _showConsent(next) {
+      const c    = PT._cfg.consent;
+      const opts = typeof c === 'object' ? c : { text: typeof c === 'string' ? c : null };
+      const days = PT._cfg.retentionDays;
+      PT._el('_pt-bar').style.display = 'none';
 
       PT._modal(`
-        <div class="_pt-ty">
-          <div class="_pt-ty-illo">🙏</div>
-          <h2>Thank you!</h2>
-          <p>Your feedback has been recorded. You can close this tab whenever you're ready.</p>
-          <p style="font-size:12px;color:#9ca3af;margin-top:-8px">
-            ${payload.completedTasks}/${payload.totalTasks} tasks completed &nbsp;·&nbsp; Session ${payload.sessionId}
-          </p>
+        <span class="_pt-chip _pt-chip-purple">${PT._t('consentChip')}</span>
+        <h2>${PT._t('consentTitle')}</h2>
+        <p>${opts.text || PT._t('consentText')}</p>
+        <ul class="_pt-note _pt-consent">
+          ${PT._cfg.recordSession ? `<li>${PT._t('consentRecording')}</li>` : ''}
+          ${days ? `<li>${PT._t('consentRetention', { days })}</li>` : ''}
+          <li>${PT._t('consentDelete')}</li>
+          ${opts.policyUrl ? `<li><a href="${PT._esc(opts.policyUrl)}" target="_blank" rel="noopener">${PT._t('consentPolicy')}</a></li>` : ''}
+        </ul>
+        <div class="_pt-actions">
+          <button class="_pt-btn _pt-btn-ghost" id="_pt-consent-no">${PT._t('consentDecline')}</button>
+          <button class="_pt-btn _pt-btn-primary" id="_pt-consent-yes">${PT._t('consentAgree')}</button>
         </div>
-      `);
+      `, () => {
+        PT._el('_pt-consent-yes').onclick = () => {
+          PT._s.consentedAt = new Date().toISOString();
+          next();
+        };
+        PT._el('_pt-consent-no').onclick = () => {
+          PT._modal(`
+            <div class="_pt-ty">
+              <div class="_pt-ty-illo">👋</div>
+              <h2>${PT._t('declinedTitle')}</h2>
+              <p>${PT._t('declinedText')}</p>
+            </div>
+          `);
+          PT._emit('consentDeclined', { sessionId: PT._s.sessionId });
+        };
+      });
+    },
+
+    /** True when `node` is inside [data-pt-mask] or an element matching `maskSelectors` */
+    _masked(node) {
+      const el = node && (node.nodeType === 1 ? node : node.parentElement);
+      if (!el) return false;
+      try {
+        return !!el.closest(['[data-pt-mask]'].concat(PT._cfg.maskSelectors || []).join(', '));
+      } catch (e) {
+        return true;   // invalid selector (warned about in init): mask rather than leak
+      }
+    },
+
+    /** Up to 60 characters of a clicked element's text; typed values and masked text come back as bullets */
+    _clickText(el) {
+      const typed = el.matches('textarea, input:not([type=button]):not([type=submit]):not([type=reset])');
+      const text  = (el.innerText || el.value || '').slice(0, 60).trim();
+      return typed || PT._masked(el) ? PT._mask(text) : text;
+    },
+
+    /** When the results should be deleted, from `retentionDays` and the session start */
+    _retainUntil() {
+      const days = PT._cfg.retentionDays;
+      return days ? new Date(PT._s.sessionStart + days * 864e5).toISOString() : null;
     },
 
     // ─── Click tracking ───────────────────────────────────────────────────────
 
     _trackClicks() {
-      document.addEventListener('click', e => {
-        if (e.target.closest('#_pt-bar') || e.target.closest('#_pt-back')) return;
-        if (!PT._s.taskStart) return;
+      PT._on(document, 'click', e => {
+        if (PT._isOverlay(e.target) || !PT._s.taskStart) return;
         const t = e.target;
-        PT._s.clicks.push({
+        const click = {
           t:   Date.now() - PT._s.taskStart,
           x:   Math.round(e.clientX),
           y:   Math.round(e.clientY),
           tag: t.tagName.toLowerCase(),
           id:  t.id || null,
-          txt: (t.innerText || t.value || '').slice(0, 60).trim(),
-        });
+          txt: PT._clickText(t),
+          vw:  window.innerWidth,       // viewport + scroll, to place the click on a heatmap
+          vh:  window.innerHeight,
+          sx:  Math.round(window.scrollX),
+          sy:  Math.round(window.scrollY),
+          url: location.href,
+        };
+        if (PT._inFixed(t)) click.fx = true;   // fixed element: ignore scroll when plotting
+        const pointer = e.pointerType || PT._s.pointer;
+        if (pointer && pointer !== 'mouse') click.pointer = pointer;   // 'touch' = a tap, 'pen'
+        PT._s.clicks.push(click);
+        PT._pathStep('click', t);
+        PT._clickSignals(t);
+        PT._save();   // a click may navigate away before anything else runs
       }, true);
     },
 
+    // ─── Touch and device ─────────────────────────────────────────────────────
+    // Taps arrive as clicks (marked `pointer: 'touch'`). A one-finger touch that
+    // travels SWIPE_PX within SWIPE_MS is recorded in the task's `swipes`, with
+    // its start point, travel and direction. The device profile is taken once
+    // per session; orientation changes are appended to it as they happen.
+
+    _trackTouch() {
+      PT._on(document, 'pointerdown', e => { PT._s.pointer = e.pointerType || null; }, { capture: true, passive: true });
+
+      let start = null;
+      PT._on(document, 'touchstart', e => {
+        const p = e.touches.length === 1 && !PT._isOverlay(e.target) ? e.touches[0] : null;
+        start = p && { x: p.clientX, y: p.clientY, at: Date.now() };
+      }, { capture: true, passive: true });
+      PT._on(document, 'touchend', e => {
+        const from = start, p = e.changedTouches[0];
+        start = null;
+        if (!from || !p || PT._s.stage !== 'task' || !PT._s.taskStart) return;
+        const dx = p.clientX - from.x, dy = p.clientY - from.y, ms = Date.now() - from.at;
+        if (Math.hypot(dx, dy) < SWIPE_PX || ms > SWIPE_MS) return;
+        PT._s.swipes.push({
+          t:   from.at - PT._s.taskStart,
+          x:   Math.round(from.x),
+          y:   Math.round(from.y),
+          dx:  Math.round(dx),
+          dy:  Math.round(dy),
+          ms,
+          dir: Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up'),
+          vw:  window.innerWidth,
+          vh:  window.innerHeight,
+          url: location.href,
+        });
+        PT._activity();
+        PT._save();
+      }, { capture: true, passive: true });
+
+      PT._on(window, 'resize', () => {
+        const d = PT._s.device;
+        if (!d) return;
+        const changes = d.orientationChanges;
+        const last = changes.length ? changes[changes.length - 1].orientation : d.orientation;
+        const now  = PT._orientation();
+        if (now === last) return;
+        changes.push({ t: Date.now() - PT._s.sessionStart, orientation: now, vw: window.innerWidth, vh: window.innerHeight });
+        PT._save();
+      });
+    },
+
+    _orientation() { return window.innerWidth > window.innerHeight ? 'landscape' : 'portrait'; },
+
+    _deviceProfile() {
+      const mq      = q => !!(window.matchMedia && window.matchMedia(q).matches);
+      const pointer = mq('(pointer: coarse)') ? 'coarse' : mq('(pointer: fine)') ? 'fine' : 'none';
+      const touch   = navigator.maxTouchPoints > 0;
+      const handset = Math.min(screen.width, screen.height) < 600;
+      const mobile  = pointer === 'coarse' || (touch && !mq('(hover: hover)'));
+      return {
+        type:        mobile ? (handset ? 'mobile' : 'tablet') : 'desktop',
+        viewportW:   window.innerWidth,
+        viewportH:   window.innerHeight,
+        screenW:     screen.width,
+        screenH:     screen.height,
+        dpr:         window.devicePixelRatio || 1,
+        orientation: PT._orientation(),
+        pointer,     // primary pointer: 'coarse' (finger) | 'fine' (mouse, pen) | 'none'
+        touch,
+        userAgent:   PT._cfg.anonymous ? null : navigator.userAgent,
+        orientationChanges: [],
+      };
+    },
+
+    _inFixed(el) {
+      for (; el && el.nodeType === 1; el = el.parentElement) {
+        if (getComputedStyle(el).position === 'fixed') return true;
+      }
+      return false;
+    },
+
+    _trackNavigation() {
+      const onNav = () => { PT._pathStep('url'); PT._firstAction(); PT._save(); };
+      PT._on(window, 'hashchange', onNav);
+      PT._on(window, 'popstate', onNav);
+    },
+
     _clearGoalListener() {
       if (PT._s.goalListener) {
         document.removeEventListener(PT._s.goalListener.event, PT._s.goalListener.fn);
         PT._s.goalListener = null;
       }
+      if (PT._s.goalWatch) {
+        PT._s.goalWatch.stop();
+        PT._s.goalWatch = null;
+      }
+      if (PT._s.firstClickFn) {
+        document.removeEventListener('click', PT._s.firstClickFn, true);
+        PT._s.firstClickFn = null;
+      }
+      PT._recStop();
+    },
+
+    // ─── Declarative goals ────────────────────────────────────────────────────
+    // A task's `goal` describes the end state instead of the prototype firing an
+    // event. All keys of one condition must hold; `any` / `all` nest conditions.
+    //   { url: '/pricing' }              path+search+hash contains it (RegExp → tested on href)
+    //   { hash: '#done' }                exact hash (or RegExp)
+    //   { visible: '.toast-success' }    an element matching the selector is rendered
+    //   { click: '#buy-btn' }            the tester clicked an element matching the selector
+    //   { input: '#qty', value: '3' }    an input's value (string or RegExp); or `checked: true`
+    //   { any: [cond, …] }  { all: [cond, …] }
+
+    _watchGoal(goal) {
+      let queued = false;
+      const schedule = () => {
+        if (queued) return;
+        queued = true;
+        setTimeout(() => { queued = false; PT._checkGoal(); }, 50);
+      };
+      const onClick = e => {
+        if (PT._isOverlay(e.target) || !PT._s.taskStart) return;
+        PT._latchClicks(goal, e.target);
+        PT._checkGoal();   // now, in case the click navigates away
+        schedule();        // and again once the prototype has reacted
+      };
+      const observer = new MutationObserver(records => {
+        if (records.some(r => !PT._isOverlay(r.target))) schedule();
+      });
+      observer.observe(document.documentElement, {
+        childList: true, subtree: true, attributes: true, characterData: true,
+      });
+      document.addEventListener('click', onClick, true);
+      document.addEventListener('input', schedule, true);
+      document.addEventListener('change', schedule, true);
+      window.addEventListener('hashchange', schedule);
+      window.addEventListener('popstate', schedule);
+
+      PT._s.goalWatch = {
+        goal,
+        latched: new Set(),   // click conditions that have been satisfied
+        stop() {
+          observer.disconnect();
+          document.removeEventListener('click', onClick, true);
+          document.removeEventListener('input', schedule, true);
+          document.removeEventListener('change', schedule, true);
+          window.removeEventListener('hashchange', schedule);
+          window.removeEventListener('popstate', schedule);
+        },
+      };
+    },
+
+    _checkGoal() {
+      const w = PT._s.goalWatch;
+      if (w && PT._s.taskStart && !PT._s.goalFired && PT._goalMet(w.goal)) PT._goalReached();
+    },
+
+    _latchClicks(cond, target) {
+      if (cond.click && target.closest && target.closest(cond.click)) PT._s.goalWatch.latched.add(cond);
+      (cond.any || []).concat(cond.all || []).forEach(c => PT._latchClicks(c, target));
+    },
+
+    _goalMet(c) {
+      const match = (pattern, str) => pattern instanceof RegExp ? pattern.test(str) : String(pattern) === str;
+
+      if (c.any && !c.any.some(sub => PT._goalMet(sub))) return false;
+      if (c.all && !c.all.every(sub => PT._goalMet(sub))) return false;
+      if (c.url != null) {
+        const ok = c.url instanceof RegExp
+          ? c.url.test(location.href)
+          : (location.pathname + location.search + location.hash).includes(c.url);
+        if (!ok) return false;
+      }
+      if (c.hash != null && !match(c.hash, location.hash)) return false;
+      if (c.visible && ![...document.querySelectorAll(c.visible)].some(PT._isVisible)) return false;
+      if (c.click && !PT._s.goalWatch.latched.has(c)) return false;
+      if (c.input) {
+        const el = document.querySelector(c.input);
+        if (!el) return false;
+        if ('value' in c && !match(c.value, el.value)) return false;
+        if ('checked' in c && el.checked !== c.checked) return false;
+      }
+      return true;
+    },
+
+    _isVisible(el) {
+      if (!el.getClientRects().length) return false;
+      const st = getComputedStyle(el);
+      return st.visibility !== 'hidden' && st.opacity !== '0';
+    },
+
+    _isOverlay(node) {
+      const el = node.nodeType === 1 ? node : node.parentElement;
+      // Events from inside the shadow root reach page listeners retargeted to the host
+      return !!(el && (el.getRootNode() === PT._s.root || el.closest('#_pt-root')));
+    },
+
+    // ─── Expected path ────────────────────────────────────────────────────────
+    // `expectedPath` lists the steps the designer intends, in order. A step is a
+    // selector the tester clicks, or a URL they land on: strings starting with
+    // '/' or '#/' are URLs, anything else a selector; `{ url }` / `{ click }`
+    // (RegExp allowed for url) make it explicit. Each recorded step stores which
+    // expected steps it matched, so the route can be classified after the task.
+
+    _pathStep(kind, el, start) {
+      const task = PT._task();
+      if (!task || !task.expectedPath || !PT._s.taskStart) return;
+      const here = location.pathname + location.search + location.hash;
+      if (kind === 'url') {
+        // hashchange and popstate both fire for one navigation
+        const lastUrl = PT._s.path.filter(st => st.kind === 'url').pop();
+        if (lastUrl && lastUrl.ref === here) return;
+      }
+      const match = [];
+      task.expectedPath.forEach((step, i) => { if (PT._stepMatches(step, kind, el)) match.push(i); });
+      // Clicks on inert page areas aren't navigation — ignore them unless expected
+      if (kind === 'click' && !match.length && !PT._isInteractive(el)) return;
+
+      const step = {
+        t:    Date.now() - PT._s.taskStart,
+        kind,
+        ref:  kind === 'url' ? here : el.tagName.toLowerCase() + (el.id ? '#' + el.id : ''),
+        match,
+      };
+      if (start) step.start = true;
+      PT._s.path.push(step);
+    },
+
+    _stepMatches(step, kind, el) {
+      const isUrl = typeof step === 'string' && (step[0] === '/' || step.startsWith('#/'));
+      const url   = typeof step === 'string' ? (isUrl ? step : null) : step.url;
+      const sel   = typeof step === 'string' ? (isUrl ? null : step) : step.click;
+      if (kind === 'url') {
+        if (url == null) return false;
+        return url instanceof RegExp
+          ? url.test(location.href)
+          : (location.pathname + location.search + location.hash).includes(url);
+      }
+      return sel != null && !!(el.closest && el.closest(sel));
+    },
+
+    _isInteractive(el) {
+      return !!(el.closest && el.closest(
+        'a[href], button, input, select, textarea, label, summary, [role="button"], [role="link"], ' +
+        '[role="tab"], [role="menuitem"], [role="checkbox"], [onclick], [tabindex]:not([tabindex="-1"])'
+      ));
+    },
+
+    /** Direct = goal reached along every expected step; indirect = after detours or missed steps */
+    _pathResult(task, completed) {
+      if (!task.expectedPath) return {};
+      let pos = 0, deviations = 0, backtracks = 0, prev = null;
+      PT._s.path.forEach(step => {
+        const repeat = prev && prev.match.includes(pos - 1) && step.match.includes(pos - 1);
+        prev = step;
+        if (step.match.includes(pos)) {
+          pos++;
+        } else if (repeat) {
+          // same step again (double click, reload) — not a detour
+        } else if (step.match.some(i => i > pos)) {
+          deviations++;                        // skipped ahead past an expected step
+          pos = Math.max(...step.match) + 1;
+        } else if (step.match.length) {
+          backtracks++;                        // returned to an earlier step
+        } else if (!step.start) {
+          deviations++;                        // somewhere off the path
+        }
+      });
+      const direct = pos === task.expectedPath.length && !deviations && !backtracks;
+      return {
+        pathOutcome:    !completed ? 'failed' : (direct ? 'direct' : 'indirect'),
+        pathDeviations: deviations,
+        pathBacktracks: backtracks,
+        path:           PT._s.path.slice(),
+      };
+    },
+
+    // ─── Behavioural signals ──────────────────────────────────────────────────
+    // A click that changes nothing (no DOM mutation or URL change within DEAD_MS)
+    // is a misclick on a non-interactive element, or a dead click on something
+    // that looks interactive. Form controls are exempt: focusing is their effect.
+    // Idle gaps are only counted until the tester's first meaningful action.
+
+    _newSignals() {
+      return {
+        misclicks: 0, rageClicks: 0, deadClicks: 0, maxScroll: 0,
+        firstActionMs: null, idleGaps: 0, idleMs: 0, lastActivity: null,
+      };
+    },
+
+    _trackSignals() {
+      const changed = () => { PT._s.lastChange = Date.now(); };
+      const observer = new MutationObserver(records => {
+        if (records.some(r => !PT._isOverlay(r.target))) changed();
+      });
+      observer.observe(document.documentElement, {
+        childList: true, subtree: true, attributes: true, characterData: true,
+      });
+      PT._s.unlisten.push(() => observer.disconnect());
+      PT._on(window, 'hashchange', changed);
+      PT._on(window, 'popstate', changed);
+
+      PT._on(window, 'scroll', () => {
+        const sg = PT._s.signals;
+        if (!sg || PT._s.stage !== 'task') return;
+        sg.maxScroll = Math.max(sg.maxScroll, PT._scrollDepth());
+        PT._activity();
+      }, { passive: true });
+      ['pointermove', 'pointerdown', 'keydown', 'wheel'].forEach(ev =>
+        PT._on(document, ev, () => PT._activity(), { capture: true, passive: true })
+      );
+      PT._on(document, 'input', e => {
+        if (!PT._isOverlay(e.target)) PT._firstAction();
+      }, true);
+    },
+
+    _scrollDepth() {
+      const h = Math.max(document.documentElement.scrollHeight, document.body.scrollHeight);
+      return h ? Math.min(100, Math.round((window.scrollY + window.innerHeight) / h * 100)) : 100;
+    },
+
+    _activity(now = Date.now()) {
+      const sg = PT._s.signals;
+      if (!sg || PT._s.stage !== 'task' || !PT._s.taskStart || sg.firstActionMs != null) return;
+      const gap = now - (sg.lastActivity || PT._s.taskStart);
+      if (gap > PT._cfg.idleThreshold) {
+        sg.idleGaps++;
+        sg.idleMs += gap;
+      }
+      sg.lastActivity = now;
+    },
+
+    _firstAction() {
+      const sg = PT._s.signals;
+      if (!sg || PT._s.stage !== 'task' || sg.firstActionMs != null) return;
+      PT._activity();
+      sg.firstActionMs = Date.now() - PT._s.taskStart;
+    },
+
+    _clickSignals(el) {
+      const sg = PT._s.signals;
+      if (!sg) return;
+      const last        = PT._s.clicks[PT._s.clicks.length - 1];
+      const interactive = PT._isInteractive(el);
+      if (interactive) PT._firstAction();
+      else PT._activity();
+
+      const burst = PT._s.clicks.filter(c =>
+        last.t - c.t <= RAGE_MS && Math.hypot(c.x - last.x, c.y - last.y) <= RAGE_PX
+      );
+      if (burst.length === RAGE_COUNT) sg.rageClicks++;
+
+      if (el.closest('input, textarea, select, option, label')) return;
+      const at = Date.now(), href = location.href, task = PT._s.currentTask;
+      setTimeout(() => {
+        if (PT._s.signals !== sg || PT._s.currentTask !== task) return;   // task moved on
+        if (PT._s.lastChange >= at || location.href !== href) return;
+        if (interactive) sg.deadClicks++;
+        else sg.misclicks++;
+        PT._save();
+      }, DEAD_MS);
+    },
+
+    _signalSummary() {
+      const sg = PT._s.signals || PT._newSignals();
+      // Close an idle gap still open when the task ended
+      if (sg.firstActionMs == null && PT._s.taskStart) {
+        const end = PT._s.taskEnd || Date.now();
+        const gap = end - (sg.lastActivity || PT._s.taskStart);
+        if (gap > PT._cfg.idleThreshold) { sg.idleGaps++; sg.idleMs += gap; }
+      }
+      return {
+        misclicks:           sg.misclicks,
+        rageClicks:          sg.rageClicks,
+        deadClicks:          sg.deadClicks,
+        maxScrollDepth:      sg.maxScroll,
+        timeToFirstActionMs: sg.firstActionMs,
+        idleGaps:            sg.idleGaps,
+        idleMs:              sg.idleMs,
+      };
+    },
+
+    // ─── Session recording ────────────────────────────────────────────────────
+    // Each page of a task starts with a full snapshot of the DOM (overlay left
+    // out, scripts emptied, input values masked); after that only changes are
+    // recorded. Nodes get numeric ids so mutations can refer to them. Events
+    // carry `t` = ms since taskStart and are uploaded in chunks to the
+    // `session_recordings` table through the outbox, or kept for the JSON
+    // download without Supabase. Kept recordings are carried across the pages
+    // of a study in sessionStorage, up to REC_KEEP_MAX.
+
+    _recStart() {
+      if (!PT._cfg.recordSession || !PT._s.taskStart) return;
+      PT._recStop();
+      const r = PT._s.rec = {
+        taskId: PT._taskId(PT._task()),
+        ids: new WeakMap(), nextId: 0, events: [], lastMove: 0, off: [],
+      };
+
+      PT._recPush({
+        k: 'snap', href: location.href,
+        w: window.innerWidth, h: window.innerHeight, sx: window.scrollX, sy: window.scrollY,
+        n: PT._recNode(document.documentElement),
+      });
+
+      r.observer = new MutationObserver(records => PT._recMutations(records));
+      r.observer.observe(document.documentElement, {
+        childList: true, subtree: true, attributes: true, characterData: true,
+      });
+
+      const on = (target, ev, fn) => {
+        target.addEventListener(ev, fn, { capture: true, passive: true });
+        r.off.push(() => target.removeEventListener(ev, fn, { capture: true, passive: true }));
+      };
+      on(window, 'scroll', e => {
+        const el = e.target;
+        if (el === document || el === document.documentElement) {
+          PT._recPush({ k: 'scroll', x: window.scrollX, y: window.scrollY });
+        } else if (r.ids.has(el)) {
+          PT._recPush({ k: 'scroll', id: r.ids.get(el), x: el.scrollLeft, y: el.scrollTop });
+        }
+      });
+      on(document, 'pointermove', e => {
+        const now = Date.now();
+        if (now - r.lastMove < REC_MOVE_MS) return;
+        r.lastMove = now;
+        PT._recPush({ k: 'move', x: Math.round(e.clientX), y: Math.round(e.clientY) });
+      });
+      on(document, 'click', e => {
+        if (PT._isOverlay(e.target)) return;
+        PT._recPush({ k: 'click', x: Math.round(e.clientX), y: Math.round(e.clientY) });
+      });
+      const onInput = e => {
+        const el = e.target;
+        if (!r.ids.has(el) || PT._isOverlay(el)) return;
+        PT._recPush({ k: 'input', id: r.ids.get(el), v: PT._mask(el.value || ''), c: !!el.checked });
+      };
+      on(document, 'input', onInput);
+      on(document, 'change', onInput);
+      on(window, 'resize', () => PT._recPush({ k: 'resize', w: window.innerWidth, h: window.innerHeight }));
+      on(window, 'pagehide', () => PT._recFlush(true));
+
+      r.flushIv = setInterval(() => PT._recFlush(), REC_FLUSH_MS);
+    },
+
+    _recStop() {
+      const r = PT._s.rec;
+      if (!r) return;
+      r.observer.disconnect();
+      r.off.forEach(fn => fn());
+      clearInterval(r.flushIv);
+      PT._recFlush();
+      PT._s.rec = null;
+    },
+
+    _recPush(ev) {
+      const r = PT._s.rec;
+      r.events.push(Object.assign({ t: Date.now() - PT._s.taskStart }, ev));
+      if (r.events.length >= REC_CHUNK) PT._recFlush();
+    },
+
+    _mask(v) { return String(v).replace(/[^\s]/g, '•'); },
+
+    /** A text node's content, masked inside a textarea or a masked element */
+    _recText(node) {
+      const inTextarea = node.parentNode && node.parentNode.nodeName === 'TEXTAREA';
+      return inTextarea || PT._masked(node) ? PT._mask(node.data) : node.data;
+    },
+
+    /** An attribute value: `value` is always masked, text-bearing attributes inside masked elements too */
+    _recAttr(el, name, v) {
+      const hide = name === 'value' || (MASK_ATTRS.includes(name) && PT._masked(el));
+      return hide ? PT._mask(v) : v;
+    },
+
+    /** Serializes a node (and subtree) to { id, tag, a, k } / { id, x } for text */
+    _recNode(node) {
+      const r = PT._s.rec;
+      if (node.nodeType === 1 && PT._isOverlay(node)) return null;
+      if (node.nodeType !== 1 && node.nodeType !== 3) return null;
+      let id = r.ids.get(node);
+      if (!id) { id = ++r.nextId; r.ids.set(node, id); }
+
+      if (node.nodeType === 3) return { id, x: PT._recText(node) };
+
+      const tag = node.tagName.toLowerCase();
+      const a   = {};
+      for (const attr of node.attributes) {
+        if (attr.name.startsWith('on')) continue;   // inline handlers never replay
+        a[attr.name] = PT._recAttr(node, attr.name, attr.value);
+      }
+      if (tag === 'input' && node.value) a.value = PT._mask(node.value);
+      if (tag === 'input' && node.checked) a.checked = '';
+
+      const out = { id, tag, a, k: [] };
+      if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') out.ns = node.namespaceURI;
+      if (tag === 'script' || tag === 'noscript') return out;
+      node.childNodes.forEach(child => {
+        const c = PT._recNode(child);
+        if (c) out.k.push(c);
+      });
+      return out;
+    },
+
+    _recMutations(records) {
+      const r = PT._s.rec;
+      records.forEach(m => {
+        if (PT._isOverlay(m.target) || !r.ids.has(m.target)) return;
+        const id = r.ids.get(m.target);
+        if (m.type === 'childList') {
+          m.removedNodes.forEach(n => {
+            if (r.ids.has(n)) PT._recPush({ k: 'rm', id: r.ids.get(n) });
+          });
+          // In reverse, so each node's next sibling already has an id
+          [...m.addedNodes].reverse().forEach(n => {
+            if (n.parentNode !== m.target) return;   // moved again since
+            const sn = PT._recNode(n);
+            if (!sn) return;
+            const before = n.nextSibling && r.ids.get(n.nextSibling);
+            PT._recPush({ k: 'add', p: id, b: before || null, n: sn });
+          });
+        } else if (m.type === 'attributes') {
+          if (m.attributeName.startsWith('on')) return;
+          const v = m.target.getAttribute(m.attributeName);
+          PT._recPush({ k: 'attr', id, name: m.attributeName, v: v == null ? v : PT._recAttr(m.target, m.attributeName, v) });
+        } else {
+          PT._recPush({ k: 'text', id, v: PT._recText(m.target) });
+        }
+      });
+    },
+
+    _recFlush(unloading) {
+      const r = PT._s.rec;
+      if (!r || !r.events.length) return;
+      const events = r.events;
+      r.events = [];
+
+      if (!(PT._cfg.supabaseUrl && PT._cfg.supabaseAnonKey)) {
+        (PT._s.recordings[r.taskId] = PT._s.recordings[r.taskId] || []).push(...events);
+        PT._recKeep();
+        return;
+      }
+      const row = {
+        session_id:   PT._s.sessionId,
+        project_name: PT._cfg.projectName,
+        task_id:      r.taskId,
+        seq:          PT._s.recSeq++,
+        events,
+      };
+      PT._outboxAdd({
+        label:     'Recording',
+        url:       `${PT._cfg.supabaseUrl}/rest/v1/session_recordings`,
+        keepalive: !!unloading,
+        headers: {
+          'Content-Type':  'application/json',
+          'apikey':        PT._cfg.supabaseAnonKey,
+          'Authorization': `Bearer ${PT._cfg.supabaseAnonKey}`,
+          'Prefer':        'return=minimal',
+        },
+        body: JSON.stringify(row),
+      });
+      PT._save();
+      PT._outboxFlush();
+    },
+
+    /** Carries the kept recordings to the next page; past REC_KEEP_MAX the last copy that fit stays */
+    _recKeep() {
+      if (!PT._cfg.persistSession || PT._s.submitted) return;
+      try {
+        const json = JSON.stringify(PT._s.recordings);
+        if (json.length > REC_KEEP_MAX) throw new Error(`${json.length} characters`);
+        sessionStorage.setItem(PT._recKey(), json);
+      } catch (e) {
+        console.warn('[PrototypeTester] Recording too large to carry to the next page:', e);
+      }
+    },
+
+    // ─── Session persistence ──────────────────────────────────────────────────
+    // sessionStorage is scoped to the tab, so every page of the study opened in
+    // the same tab shares one session; a new tab starts a fresh one.
+
+    _storeKey() { return 'pt_session:' + PT._cfg.projectName; },
+    _recKey()   { return 'pt_recordings:' + PT._cfg.projectName; },
+
+    _page() { return location.pathname + location.search; },
+
+    _save() {
+      if (!PT._cfg.persistSession || PT._s.submitted) return;
+      const data = {};
+      PERSISTED.forEach(k => { data[k] = PT._s[k]; });
+      try { sessionStorage.setItem(PT._storeKey(), JSON.stringify(data)); }
+      catch (e) { /* sessionStorage not available or full */ }
+    },
+
+    /** Loads a saved session into PT._s; returns true if there was one */
+    _restore() {
+      if (!PT._cfg.persistSession) return false;
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(PT._storeKey()) || 'null');
+        if (!saved || !saved.stage) return false;
+        Object.assign(PT._s, saved);
+        PT._s.recordings = JSON.parse(sessionStorage.getItem(PT._recKey()) || '{}');
+        return true;
+      } catch (e) { return false; }
+    },
+
+    _clearSaved() {
+      try {
+        sessionStorage.removeItem(PT._storeKey());
+        sessionStorage.removeItem(PT._recKey());
+      } catch (e) { /* ignore */ }
+    },
+
+    _resume() {
+      const page = PT._page();
+      if (PT._s.stage === 'task' && PT._s.taskStart && page !== PT._s.page) {
+        PT._s.pages.push({ t: Date.now() - PT._s.taskStart, from: PT._s.page, to: page });
+        PT._pathStep('url');
+        PT._firstAction();
+      }
+      PT._s.page = page;
+      PT._progress();
+
+      PT._el('_pt-bar').style.display = '';
+      if (PT._s.stage === 'final') return PT._showFinal();
+      if (PT._s.stage === 'recorded') return PT._advance();
+      PT._startTask(PT._s.currentTask, true);
     },
   };
 
+  // Pristine config + state, restored by destroy()
+  const DEFAULTS = JSON.stringify({ cfg: PT._cfg, s: PT._s });
+
   global.PrototypeTester = PT;
 })(window);